@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { parseUserAgent } = require('./userAgent');
+const { ValidationError } = require('./errors');
+
+const INTERVALS = {
+  hour: 'hour',
+  day: 'day',
+  week: 'isoWeek'
+};
+
+const MAX_BUCKETS = 2000;
+
+// Keyed, so visitor IDs cannot be matched back to IP addresses by hashing
+// the address space. The fallback key only lives as long as the process.
+const PROCESS_SECRET = crypto.randomBytes(32).toString('hex');
+
+const hashVisitor = (ip, secret = null) =>
+  crypto.createHmac('sha256', secret || PROCESS_SECRET).update(ip || 'unknown').digest('hex').slice(0, 16);
+
+const visitorIdOf = (click) => click.visitorId || hashVisitor(click.ip);
+
+// Clicks are appended in chronological order, so the range bounds can be
+// found with a binary search instead of scanning the whole history.
+const lowerBound = (clicks, time) => {
+  let low = 0;
+  let high = clicks.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (new Date(clicks[mid].timestamp).getTime() < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+};
+
+const increment = (counts, key) => {
+  counts.set(key, (counts.get(key) || 0) + 1);
+};
+
+const toRanking = (counts, keyName, limit) => Array.from(counts.entries())
+  .map(([key, clicks]) => ({ [keyName]: key, clicks }))
+  .sort((a, b) => b.clicks - a.clicks)
+  .slice(0, limit);
+
+const aggregateClicks = (clicks, { from, to, interval = 'day', topLimit = 10, includeBots = false }) => {
+  const unit = INTERVALS[interval];
+  const step = `${interval}s`;
+  const start = moment.utc(from).startOf(unit);
+  const end = moment.utc(to);
+
+  const bucketCount = Math.ceil(end.diff(start, step, true)) + 1;
+  if (bucketCount > MAX_BUCKETS) {
+    throw new ValidationError('DATE_RANGE_TOO_LARGE', `Date range too large for interval: at most ${MAX_BUCKETS} buckets allowed`, { field: 'interval' });
+  }
+
+  const buckets = new Map();
+  for (const cursor = start.clone(); !cursor.isAfter(end); cursor.add(1, step)) {
+    buckets.set(cursor.toISOString(), { clicks: 0, visitors: new Set() });
+  }
+
+  const referrers = new Map();
+  const browsers = new Map();
+  const operatingSystems = new Map();
+  const devices = new Map();
+  const locations = new Map();
+  const campaigns = new Map();
+  const campaignSources = new Map();
+  const rules = new Map();
+  const visitors = new Set();
+  let totalClicks = 0;
+  let botClicks = 0;
+
+  const first = lowerBound(clicks, moment.utc(from).valueOf());
+  const last = lowerBound(clicks, end.valueOf() + 1);
+
+  for (let i = first; i < last; i++) {
+    const click = clicks[i];
+
+    if (click.isBot) {
+      botClicks++;
+      if (!includeBots) continue;
+    }
+
+    totalClicks++;
+    const visitorId = visitorIdOf(click);
+    const bucketKey = moment.utc(click.timestamp).startOf(unit).toISOString();
+    const bucket = buckets.get(bucketKey);
+
+    if (bucket) {
+      bucket.clicks++;
+      bucket.visitors.add(visitorId);
+    }
+
+    visitors.add(visitorId);
+    increment(referrers, click.referrer || 'direct');
+    increment(locations, click.location || 'Unknown');
+
+    const campaign = click.campaign || {};
+    increment(campaigns, campaign.campaign || '(not set)');
+    if (campaign.source || campaign.medium) {
+      increment(campaignSources, `${campaign.source || '(not set)'} / ${campaign.medium || '(not set)'}`);
+    }
+
+    increment(rules, click.rule ? click.rule.name || click.rule.id : 'Default destination');
+
+    const agent = click.browser ? click : parseUserAgent(click.userAgent);
+    increment(browsers, agent.browser);
+    increment(operatingSystems, agent.os || 'Unknown');
+    increment(devices, agent.device);
+  }
+
+  return {
+    range: {
+      from: moment.utc(from).toISOString(),
+      to: end.toISOString()
+    },
+    interval,
+    includeBots,
+    totalClicks,
+    botClicks,
+    uniqueVisitors: visitors.size,
+    timeSeries: Array.from(buckets.entries()).map(([bucket, data]) => ({
+      bucket,
+      clicks: data.clicks,
+      uniqueVisitors: data.visitors.size
+    })),
+    topReferrers: toRanking(referrers, 'referrer', topLimit),
+    browsers: toRanking(browsers, 'browser', topLimit),
+    operatingSystems: toRanking(operatingSystems, 'os', topLimit),
+    devices: toRanking(devices, 'device', topLimit),
+    locations: toRanking(locations, 'location', topLimit),
+    campaigns: toRanking(campaigns, 'campaign', topLimit),
+    campaignSources: toRanking(campaignSources, 'sourceMedium', topLimit),
+    rules: toRanking(rules, 'rule', topLimit)
+  };
+};
+
+const countClicksInRange = (clicks, from, to, includeBots = false) => {
+  const first = lowerBound(clicks, moment.utc(from).valueOf());
+  const last = lowerBound(clicks, moment.utc(to).valueOf() + 1);
+
+  if (includeBots) return last - first;
+
+  let count = 0;
+  for (let i = first; i < last; i++) {
+    if (!clicks[i].isBot) count++;
+  }
+  return count;
+};
+
+module.exports = {
+  INTERVALS,
+  aggregateClicks,
+  countClicksInRange,
+  hashVisitor,
+  visitorIdOf
+};
@@ -0,0 +1,54 @@
+const moment = require('moment');
+
+// Fixed-window counter of failed attempts, keyed by whatever the caller
+// wants to throttle (a link, a link plus client IP, ...).
+class AttemptLimiter {
+  constructor({ maxAttempts = 5, windowMinutes = 15 } = {}) {
+    this.maxAttempts = maxAttempts;
+    this.windowMinutes = windowMinutes;
+    this.attempts = new Map();
+  }
+
+  getWindow(key) {
+    const window = this.attempts.get(key);
+    if (window && moment().isAfter(window.resetAt)) {
+      this.attempts.delete(key);
+      return null;
+    }
+    return window || null;
+  }
+
+  isBlocked(key) {
+    const window = this.getWindow(key);
+    return !!window && window.count >= this.maxAttempts;
+  }
+
+  retryAfterSeconds(key) {
+    const window = this.getWindow(key);
+    return window ? Math.max(1, moment(window.resetAt).diff(moment(), 'seconds')) : 0;
+  }
+
+  recordFailure(key) {
+    const window = this.getWindow(key) || {
+      count: 0,
+      resetAt: moment().add(this.windowMinutes, 'minutes').toISOString()
+    };
+
+    window.count++;
+    this.attempts.set(key, window);
+
+    return window.count;
+  }
+
+  // Takes back one counted attempt that turned out to succeed.
+  forgive(key) {
+    const window = this.getWindow(key);
+    if (window && window.count > 0) window.count--;
+  }
+
+  reset(key) {
+    this.attempts.delete(key);
+  }
+}
+
+module.exports = AttemptLimiter;
@@ -0,0 +1,44 @@
+const { logWarn } = require('../logging_middleware/logger');
+const userService = require('./userService');
+const { AuthenticationError, ForbiddenError } = require('./errors');
+
+const extractToken = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey.trim();
+
+  const authorization = req.get('Authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  return null;
+};
+
+const requireAuth = (req, res, next) => {
+  const token = extractToken(req);
+  const user = userService.authenticate(token);
+
+  if (!user) {
+    logWarn('Unauthenticated request rejected', { method: req.method, url: req.originalUrl, ip: req.ip });
+    return next(new AuthenticationError('AUTH_REQUIRED', 'Provide a valid session token or API key'));
+  }
+
+  req.user = user;
+  req.authToken = token;
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (!userService.isAdmin(req.user)) {
+    logWarn('Non-admin request to admin endpoint rejected', { url: req.originalUrl, userId: req.user && req.user.id });
+    return next(new ForbiddenError('ADMIN_REQUIRED', 'Administrator access required'));
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  extractToken
+};
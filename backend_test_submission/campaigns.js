@@ -0,0 +1,46 @@
+const UTM_FIELDS = {
+  source: 'utm_source',
+  medium: 'utm_medium',
+  campaign: 'utm_campaign',
+  term: 'utm_term',
+  content: 'utm_content'
+};
+
+// Incoming parameters replace destination parameters of the same name;
+// everything else on the destination is kept.
+const mergeQuery = (destination, queryString) => {
+  const incoming = new URLSearchParams(queryString);
+  if ([...incoming.keys()].length === 0) return destination;
+
+  const url = new URL(destination);
+  new Set(incoming.keys()).forEach(name => url.searchParams.delete(name));
+  incoming.forEach((value, name) => url.searchParams.append(name, value));
+
+  return url.toString();
+};
+
+// Reads utm_* values from the visit's own query string first and falls back
+// to the ones baked into the destination. Returns null without a campaign.
+const extractCampaign = (queryString, destination) => {
+  const incoming = new URLSearchParams(queryString || '');
+  let stored;
+  try {
+    stored = new URL(destination).searchParams;
+  } catch (error) {
+    stored = new URLSearchParams();
+  }
+
+  const campaign = {};
+  Object.entries(UTM_FIELDS).forEach(([field, param]) => {
+    const value = incoming.get(param) || stored.get(param);
+    if (value) campaign[field] = value.slice(0, 200);
+  });
+
+  return Object.keys(campaign).length > 0 ? campaign : null;
+};
+
+module.exports = {
+  UTM_FIELDS,
+  mergeQuery,
+  extractCampaign
+};
@@ -0,0 +1,86 @@
+const { nanoid } = require('nanoid');
+const moment = require('moment');
+const { logInfo, logError } = require('../logging_middleware/logger');
+const { createDomainStore } = require('./storage');
+const { ValidationError, NotFoundError, ConflictError } = require('./errors');
+const config = require('../config');
+
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+// Custom hosts that links can be bound to. Links without a domain live on the
+// default host (PUBLIC_BASE_URL), which is never stored here.
+class DomainService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.defaultHostname = options.defaultHostname || 'localhost';
+  }
+
+  normalizeHostname(hostname) {
+    return typeof hostname === 'string' ? hostname.trim().toLowerCase().replace(/\.$/, '') : '';
+  }
+
+  registerDomain(hostname, createdBy = null) {
+    try {
+      const normalized = this.normalizeHostname(hostname);
+      logInfo('Registering custom domain', { hostname: normalized, createdBy });
+
+      if (!HOSTNAME_PATTERN.test(normalized)) {
+        throw new ValidationError('INVALID_DOMAIN', 'Domain must be a valid hostname such as go.example.com', { field: 'hostname' });
+      }
+
+      if (normalized === this.defaultHostname || this.store.findByHostname(normalized)) {
+        throw new ConflictError('DOMAIN_EXISTS', 'Domain is already registered', { field: 'hostname' });
+      }
+
+      return this.store.create({
+        id: nanoid(10),
+        hostname: normalized,
+        createdBy,
+        createdAt: moment().toISOString()
+      });
+    } catch (error) {
+      logError('Error registering custom domain', error);
+      throw error;
+    }
+  }
+
+  removeDomain(hostname) {
+    try {
+      const normalized = this.normalizeHostname(hostname);
+      logInfo('Removing custom domain', { hostname: normalized });
+
+      if (!this.store.remove(normalized)) {
+        throw new NotFoundError('DOMAIN_NOT_FOUND', 'Domain is not registered');
+      }
+
+      return true;
+    } catch (error) {
+      logError('Error removing custom domain', error);
+      throw error;
+    }
+  }
+
+  isRegistered(hostname) {
+    return !!this.store.findByHostname(this.normalizeHostname(hostname));
+  }
+
+  // Maps a request's Host to the namespace its shortcodes live in: the
+  // hostname itself for registered domains, null for everything else.
+  resolveHost(hostname) {
+    const normalized = this.normalizeHostname(hostname);
+    return this.store.findByHostname(normalized) ? normalized : null;
+  }
+
+  listDomains() {
+    return this.store.list().sort((a, b) => a.hostname.localeCompare(b.hostname));
+  }
+
+  listHostnames() {
+    return this.store.list().map(domain => domain.hostname);
+  }
+}
+
+module.exports = new DomainService(createDomainStore(config.storage.type, config.storage), {
+  defaultHostname: new URL(config.publicBaseUrl).hostname
+});
+module.exports.DomainService = DomainService;
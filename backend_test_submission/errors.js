@@ -0,0 +1,120 @@
+// Services throw these instead of plain Errors so the HTTP layer can map
+// them by type and clients can switch on a stable `code` rather than on
+// message text. `details` lists the offending request fields, if any.
+class AppError extends Error {
+  static status = 500;
+  static title = 'Internal server error';
+
+  constructor(code, message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = options.status || this.constructor.status;
+    this.details = options.details || (options.field ? [{ field: options.field, code, message }] : []);
+  }
+}
+
+class ValidationError extends AppError {
+  static status = 400;
+  static title = 'Validation failed';
+
+  static fromDetails(details) {
+    if (details.length === 1) {
+      return new ValidationError(details[0].code, details[0].message, { details });
+    }
+    return new ValidationError('VALIDATION_FAILED', `${details.length} fields are invalid`, { details });
+  }
+}
+
+class AuthenticationError extends AppError {
+  static status = 401;
+  static title = 'Authentication required';
+}
+
+class ForbiddenError extends AppError {
+  static status = 403;
+  static title = 'Forbidden';
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static title = 'Not found';
+}
+
+class ConflictError extends AppError {
+  static status = 409;
+  static title = 'Conflict';
+}
+
+class GoneError extends AppError {
+  static status = 410;
+  static title = 'Gone';
+}
+
+class CapacityError extends AppError {
+  static status = 503;
+  static title = 'Service temporarily unavailable';
+}
+
+const fieldError = (field, code, message) => ({ field, code, message });
+
+const toErrorResponse = (error) => {
+  if (error instanceof AppError) {
+    return {
+      status: error.status,
+      body: {
+        error: error.constructor.title,
+        code: error.code,
+        message: error.message,
+        details: error.details
+      }
+    };
+  }
+
+  if (error && error.type === 'entity.parse.failed') {
+    return {
+      status: 400,
+      body: {
+        error: ValidationError.title,
+        code: 'INVALID_JSON',
+        message: 'Request body is not valid JSON',
+        details: []
+      }
+    };
+  }
+
+  if (error && error.type === 'entity.too.large') {
+    return {
+      status: 413,
+      body: {
+        error: ValidationError.title,
+        code: 'PAYLOAD_TOO_LARGE',
+        message: 'Request body is too large',
+        details: []
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: AppError.title,
+      code: 'INTERNAL_ERROR',
+      message: 'An unexpected error occurred',
+      details: []
+    }
+  };
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  CapacityError,
+  fieldError,
+  toErrorResponse
+};
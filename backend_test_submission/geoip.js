@@ -0,0 +1,183 @@
+const fs = require('fs');
+const net = require('net');
+const { logInfo, logWarn } = require('../logging_middleware/logger');
+
+const PRIVATE_RANGES = [
+  ['10.0.0.0', '10.255.255.255'],
+  ['100.64.0.0', '100.127.255.255'],
+  ['127.0.0.0', '127.255.255.255'],
+  ['169.254.0.0', '169.254.255.255'],
+  ['172.16.0.0', '172.31.255.255'],
+  ['192.168.0.0', '192.168.255.255'],
+  ['0.0.0.0', '0.255.255.255'],
+  ['::', '::1'],
+  ['fc00::', 'fdff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'],
+  ['fe80::', 'febf:ffff:ffff:ffff:ffff:ffff:ffff:ffff']
+];
+
+const ipv4ToBigInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(Number(octet)), 0n);
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+
+  const embedded = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const v4 = ipv4ToBigInt(embedded[1]);
+    address = address.slice(0, -embedded[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail !== '' ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = tail !== undefined
+    ? [...headGroups, ...new Array(missing).fill('0'), ...tailGroups]
+    : headGroups;
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+// Normalises an address to { version, value }. IPv4-mapped IPv6 addresses
+// (::ffff:a.b.c.d, which Express reports on dual-stack sockets) become IPv4.
+const parseIP = (ip) => {
+  if (!ip || typeof ip !== 'string') return null;
+
+  const address = ip.trim().replace(/^\[|\]$/g, '').split('%')[0];
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) {
+    return { version: 4, value: ipv4ToBigInt(mapped[1]) };
+  }
+
+  const version = net.isIP(address);
+  if (version === 4) return { version: 4, value: ipv4ToBigInt(address) };
+  if (version === 6) {
+    const value = ipv6ToBigInt(address.toLowerCase());
+    // The WHATWG URL parser rewrites ::ffff:a.b.c.d as ::ffff:xxxx:xxxx.
+    if (value >> 32n === 0xffffn) return { version: 4, value: value & 0xffffffffn };
+    return { version: 6, value };
+  }
+
+  return null;
+};
+
+const toRange = (start, end) => {
+  const from = parseIP(start);
+  const to = parseIP(end);
+  if (!from || !to || from.version !== to.version || from.value > to.value) return null;
+  return { version: from.version, start: from.value, end: to.value };
+};
+
+const privateRanges = PRIVATE_RANGES.map(([start, end]) => toRange(start, end));
+
+const isPrivateIP = (parsed) => privateRanges.some(range =>
+  range.version === parsed.version && parsed.value >= range.start && parsed.value <= range.end);
+
+const formatLocation = (geo) => {
+  if (!geo) return 'Unknown';
+  const parts = [geo.city, geo.region, geo.country].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'Unknown';
+};
+
+class GeoIPLookup {
+  constructor(dbPath = null) {
+    this.dbPath = dbPath;
+    this.ranges = { 4: [], 6: [] };
+
+    if (dbPath) {
+      this.load();
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.dbPath)) {
+      logWarn('GeoIP database not found, click locations will be Unknown', { file: this.dbPath });
+      return;
+    }
+
+    let skipped = 0;
+
+    fs.readFileSync(this.dbPath, 'utf8').split('\n').forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const [start, end, continent, country, region, city] = trimmed.split(',').map(value => value.replace(/^"|"$/g, ''));
+      const range = toRange(start, end);
+      if (!range) {
+        skipped++;
+        return;
+      }
+
+      this.ranges[range.version].push({
+        start: range.start,
+        end: range.end,
+        geo: {
+          continent: continent || null,
+          country: country || null,
+          region: region || null,
+          city: city || null
+        }
+      });
+    });
+
+    [4, 6].forEach(version => this.ranges[version].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0)));
+
+    logInfo('GeoIP database loaded', {
+      file: this.dbPath,
+      ipv4Ranges: this.ranges[4].length,
+      ipv6Ranges: this.ranges[6].length,
+      skipped
+    });
+  }
+
+  lookup(ip) {
+    const parsed = parseIP(ip);
+    if (!parsed) return null;
+
+    if (isPrivateIP(parsed)) {
+      return { continent: null, country: null, region: null, city: null, private: true };
+    }
+
+    const ranges = this.ranges[parsed.version];
+    let low = 0;
+    let high = ranges.length - 1;
+
+    while (low <= high) {
+      const mid = (low + high) >>> 1;
+      const range = ranges[mid];
+
+      if (parsed.value < range.start) {
+        high = mid - 1;
+      } else if (parsed.value > range.end) {
+        low = mid + 1;
+      } else {
+        return { ...range.geo, private: false };
+      }
+    }
+
+    return null;
+  }
+
+  locate(ip) {
+    const geo = this.lookup(ip);
+
+    if (!geo) {
+      return { location: 'Unknown', geo: null };
+    }
+
+    if (geo.private) {
+      return { location: 'Private Network', geo: null };
+    }
+
+    return {
+      location: formatLocation(geo),
+      geo: { country: geo.country, region: geo.region, city: geo.city }
+    };
+  }
+}
+
+module.exports = {
+  GeoIPLookup,
+  parseIP,
+  isPrivateIP,
+  formatLocation
+};
@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+// scrypt runs on the libuv thread pool, so hashing a bulk request's
+// passwords does not hold up other requests.
+const scrypt = promisify(crypto.scrypt);
+
+const hashPassword = async (password, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  if (typeof password !== 'string' || !stored) return false;
+
+  const [salt, hash] = stored.split(':');
+  const candidate = await scrypt(password, salt, 64);
+  const expected = Buffer.from(hash, 'hex');
+
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
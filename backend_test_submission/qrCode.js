@@ -0,0 +1,153 @@
+const fs = require('fs');
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const { logInfo, logWarn } = require('../logging_middleware/logger');
+const { ValidationError, fieldError } = require('./errors');
+
+const FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+const ECC_LEVELS = ['L', 'M', 'Q', 'H'];
+const SIZE_RANGE = { min: 64, max: 2048, default: 512 };
+const MARGIN_RANGE = { min: 0, max: 16, default: 4 };
+
+// Share of the code's width covered by the logo. Level H recovers up to 30%
+// of the modules, which leaves room for the logo plus its white backing.
+const LOGO_SCALE = 0.2;
+const LOGO_PADDING = 0.02;
+
+const parseInteger = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+const parseQROptions = (query = {}) => {
+  const details = [];
+
+  const format = String(query.format || 'png').toLowerCase();
+  if (!FORMATS[format]) {
+    details.push(fieldError('format', 'INVALID_QR_FORMAT', `Format must be one of ${Object.keys(FORMATS).join(', ')}`));
+  }
+
+  const size = parseInteger(query.size, SIZE_RANGE.default);
+  if (!Number.isInteger(size) || size < SIZE_RANGE.min || size > SIZE_RANGE.max) {
+    details.push(fieldError('size', 'INVALID_QR_SIZE', `Size must be an integer between ${SIZE_RANGE.min} and ${SIZE_RANGE.max}`));
+  }
+
+  const margin = parseInteger(query.margin, MARGIN_RANGE.default);
+  if (!Number.isInteger(margin) || margin < MARGIN_RANGE.min || margin > MARGIN_RANGE.max) {
+    details.push(fieldError('margin', 'INVALID_QR_MARGIN', `Margin must be an integer between ${MARGIN_RANGE.min} and ${MARGIN_RANGE.max}`));
+  }
+
+  const logo = query.logo === 'true';
+  const ecc = query.ecc ? String(query.ecc).toUpperCase() : (logo ? 'H' : 'M');
+  if (!ECC_LEVELS.includes(ecc)) {
+    details.push(fieldError('ecc', 'INVALID_QR_ECC', `Error correction level must be one of ${ECC_LEVELS.join(', ')}`));
+  } else if (logo && (ecc === 'L' || ecc === 'M')) {
+    details.push(fieldError('ecc', 'INVALID_QR_ECC', 'A logo needs error correction level Q or H to stay scannable'));
+  }
+
+  if (details.length > 0) {
+    throw ValidationError.fromDetails(details);
+  }
+
+  return { format, size, margin, ecc, logo };
+};
+
+class QRRenderer {
+  constructor(logoPath = null) {
+    this.logo = null;
+
+    if (logoPath) {
+      this.loadLogo(logoPath);
+    }
+  }
+
+  loadLogo(logoPath) {
+    try {
+      const data = fs.readFileSync(logoPath);
+      this.logo = { image: PNG.sync.read(data), dataURI: `data:image/png;base64,${data.toString('base64')}` };
+      logInfo('QR logo loaded', { file: logoPath, width: this.logo.image.width, height: this.logo.image.height });
+    } catch (error) {
+      logWarn('Unable to load QR logo, codes will be rendered without it', { file: logoPath, reason: error.message });
+    }
+  }
+
+  hasLogo() {
+    return !!this.logo;
+  }
+
+  async render(text, options) {
+    const { format, size, margin, ecc } = options;
+    const logo = options.logo && this.logo;
+
+    if (options.logo && !this.logo) {
+      throw new ValidationError('QR_LOGO_UNAVAILABLE', 'No QR logo is configured on this server', { field: 'logo' });
+    }
+
+    const qrOptions = { width: size, margin, errorCorrectionLevel: ecc };
+
+    if (format === 'svg') {
+      const svg = await QRCode.toString(text, { ...qrOptions, type: 'svg' });
+      return { contentType: FORMATS.svg, body: logo ? this.addSVGLogo(svg) : svg };
+    }
+
+    const png = await QRCode.toBuffer(text, { ...qrOptions, type: 'png' });
+    return { contentType: FORMATS.png, body: logo ? this.addPNGLogo(png) : png };
+  }
+
+  addSVGLogo(svg) {
+    const viewBox = svg.match(/viewBox="0 0 (\d+) (\d+)"/);
+    const extent = Number(viewBox[1]);
+    const logoSize = extent * LOGO_SCALE;
+    const padding = extent * LOGO_PADDING;
+    const offset = (extent - logoSize) / 2;
+
+    const backing = `<rect x="${offset - padding}" y="${offset - padding}" width="${logoSize + padding * 2}" ` +
+      `height="${logoSize + padding * 2}" fill="#ffffff"/>`;
+    const image = `<image x="${offset}" y="${offset}" width="${logoSize}" height="${logoSize}" href="${this.logo.dataURI}"/>`;
+
+    return svg.replace('</svg>', `${backing}${image}</svg>`);
+  }
+
+  // Nearest-neighbour scales the logo onto a white square in the middle of
+  // the code, blending by the logo's alpha channel.
+  addPNGLogo(buffer) {
+    const code = PNG.sync.read(buffer);
+    const source = this.logo.image;
+
+    const logoSize = Math.round(code.width * LOGO_SCALE);
+    const padding = Math.round(code.width * LOGO_PADDING);
+    const offset = Math.round((code.width - logoSize) / 2);
+
+    for (let y = offset - padding; y < offset + logoSize + padding; y++) {
+      for (let x = offset - padding; x < offset + logoSize + padding; x++) {
+        const target = (code.width * y + x) << 2;
+        let [red, green, blue] = [255, 255, 255];
+
+        if (x >= offset && x < offset + logoSize && y >= offset && y < offset + logoSize) {
+          const sx = Math.floor((x - offset) * source.width / logoSize);
+          const sy = Math.floor((y - offset) * source.height / logoSize);
+          const index = (source.width * sy + sx) << 2;
+          const alpha = source.data[index + 3] / 255;
+
+          red = Math.round(source.data[index] * alpha + 255 * (1 - alpha));
+          green = Math.round(source.data[index + 1] * alpha + 255 * (1 - alpha));
+          blue = Math.round(source.data[index + 2] * alpha + 255 * (1 - alpha));
+        }
+
+        code.data[target] = red;
+        code.data[target + 1] = green;
+        code.data[target + 2] = blue;
+        code.data[target + 3] = 255;
+      }
+    }
+
+    return PNG.sync.write(code);
+  }
+}
+
+module.exports = {
+  QRRenderer,
+  parseQROptions,
+  FORMATS,
+  ECC_LEVELS
+};
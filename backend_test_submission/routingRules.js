@@ -0,0 +1,105 @@
+const { nanoid } = require('nanoid');
+const { fieldError } = require('./errors');
+
+const MAX_RULES = 20;
+const MAX_NAME_LENGTH = 64;
+const CONDITIONS = ['os', 'device', 'country'];
+const DEVICES = ['desktop', 'mobile', 'tablet', 'bot'];
+
+const isHttpURL = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Condition values are compared case-insensitively; countries are ISO
+// 3166 alpha-2 codes as reported by the GeoIP lookup.
+const normalizeCondition = (name, value) => {
+  const values = toList(value).map(item => String(item).trim()).filter(Boolean);
+
+  if (name === 'country') {
+    return values.every(item => /^[a-z]{2}$/i.test(item)) ? values.map(item => item.toUpperCase()) : null;
+  }
+  if (name === 'device') {
+    const devices = values.map(item => item.toLowerCase());
+    return devices.every(item => DEVICES.includes(item)) ? devices : null;
+  }
+  return values.map(item => item.toLowerCase());
+};
+
+// Validates a full rule list and returns it in stored form, or collects
+// field errors (rules[0].url, ...) into details and returns null.
+const normalizeRules = (rules, details) => {
+  if (rules === null) return [];
+
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    details.push(fieldError('rules', 'INVALID_RULES', `Rules must be a list of at most ${MAX_RULES} entries`));
+    return null;
+  }
+
+  const before = details.length;
+  const normalized = rules.map((rule, index) => {
+    const field = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      details.push(fieldError(field, 'INVALID_RULE', 'Each rule must be an object with conditions and a url'));
+      return null;
+    }
+
+    if (!isHttpURL(rule.url)) {
+      details.push(fieldError(`${field}.url`, 'INVALID_RULE_URL', 'Rule URL must be a valid http:// or https:// address'));
+    }
+
+    if (rule.name != null && (typeof rule.name !== 'string' || rule.name.length > MAX_NAME_LENGTH)) {
+      details.push(fieldError(`${field}.name`, 'INVALID_RULE_NAME', `Rule name must be text of at most ${MAX_NAME_LENGTH} characters`));
+    }
+
+    const conditions = {};
+    const given = rule.conditions && typeof rule.conditions === 'object' ? rule.conditions : {};
+    const unknown = Object.keys(given).filter(name => !CONDITIONS.includes(name));
+
+    if (unknown.length > 0 || Object.keys(given).length === 0) {
+      details.push(fieldError(`${field}.conditions`, 'INVALID_RULE_CONDITION', `Conditions must use at least one of ${CONDITIONS.join(', ')}`));
+    } else {
+      Object.entries(given).forEach(([name, value]) => {
+        const values = normalizeCondition(name, value);
+        if (!values || values.length === 0) {
+          details.push(fieldError(`${field}.conditions.${name}`, 'INVALID_RULE_CONDITION',
+            name === 'device' ? `Device must be one of ${DEVICES.join(', ')}` : `Invalid ${name} condition`));
+        } else {
+          conditions[name] = values;
+        }
+      });
+    }
+
+    return {
+      id: typeof rule.id === 'string' && rule.id ? rule.id : nanoid(8),
+      name: rule.name ? rule.name.trim() : null,
+      conditions,
+      url: rule.url
+    };
+  });
+
+  return details.length > before ? null : normalized;
+};
+
+// Rules are evaluated in order; every condition on a rule must match and
+// any of a condition's values will do. Returns null when none applies.
+const matchRule = (rules, visitor) => (rules || []).find(rule =>
+  Object.entries(rule.conditions).every(([name, values]) => {
+    const actual = visitor[name];
+    if (!actual) return false;
+    return values.includes(name === 'country' ? actual.toUpperCase() : actual.toLowerCase());
+  })) || null;
+
+module.exports = {
+  MAX_RULES,
+  CONDITIONS,
+  DEVICES,
+  normalizeRules,
+  matchRule
+};
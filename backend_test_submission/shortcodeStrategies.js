@@ -0,0 +1,66 @@
+const { customAlphabet, urlAlphabet } = require('nanoid');
+
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+// "friendly" drops characters that are easy to misread or mistype
+// (0/o, 1/i/l) and sticks to lower case so codes survive being read aloud.
+const ALPHABETS = {
+  url: urlAlphabet,
+  alphanumeric: BASE62,
+  friendly: '23456789abcdefghjkmnpqrstuvwxyz'
+};
+
+const STRATEGIES = ['random', 'counter'];
+
+const resolveAlphabet = (alphabet) => ALPHABETS[alphabet] || alphabet;
+
+const generators = new Map();
+
+// Shortcodes may only use "-" and "_" between letters or digits, so draws
+// that start or end with one, or put two together, are thrown away.
+const MISPLACED_SEPARATOR = /^[-_]|[-_]$|[-_]{2}/;
+
+const randomCode = (alphabet, length) => {
+  const cacheKey = `${alphabet}:${length}`;
+  if (!generators.has(cacheKey)) {
+    generators.set(cacheKey, customAlphabet(alphabet, length));
+  }
+
+  let code;
+  do {
+    code = generators.get(cacheKey)();
+  } while (MISPLACED_SEPARATOR.test(code));
+  return code;
+};
+
+const encodeBase62 = (value) => {
+  let remaining = value;
+  let encoded = '';
+
+  do {
+    encoded = BASE62[remaining % 62] + encoded;
+    remaining = Math.floor(remaining / 62);
+  } while (remaining > 0);
+
+  return encoded;
+};
+
+// Returns NaN for anything that is not a plain base62 string.
+const decodeBase62 = (code) => {
+  if (typeof code !== 'string' || !/^[0-9A-Za-z]+$/.test(code)) return NaN;
+  return code.split('').reduce((value, char) => value * 62 + BASE62.indexOf(char), 0);
+};
+
+// Counter codes start at the first value that encodes to `length`
+// characters, so they are never shorter than the configured length.
+const firstCounterValue = (length) => 62 ** (length - 1);
+
+module.exports = {
+  ALPHABETS,
+  STRATEGIES,
+  resolveAlphabet,
+  randomCode,
+  encodeBase62,
+  decodeBase62,
+  firstCounterValue
+};
@@ -0,0 +1,58 @@
+// Vanity shortcodes share the URL space with the app's own routes, so the
+// first path segment of every route (and of the frontend's pages) is reserved.
+const RESERVED_SHORTCODES = [
+  'health',
+  'api',
+  'shorturls',
+  'statistics',
+  'auth',
+  'admin',
+  'login'
+];
+
+const SHORTCODE_LENGTH = { min: 3, max: 20 };
+
+// Letters and digits, optionally joined by single hyphens or underscores.
+const SHORTCODE_PATTERN = /^[a-zA-Z0-9]+(?:[-_][a-zA-Z0-9]+)*$/;
+
+const isValidShortcode = (shortcode) =>
+  typeof shortcode === 'string' &&
+  shortcode.length >= SHORTCODE_LENGTH.min &&
+  shortcode.length <= SHORTCODE_LENGTH.max &&
+  SHORTCODE_PATTERN.test(shortcode);
+
+// "Summer Sale: 50% off!" -> "summer-sale-50-off". Accents are stripped and
+// the result is cut back to the last whole word that fits.
+const slugify = (text, maxLength = SHORTCODE_LENGTH.max) => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= maxLength) return slug;
+
+  const cut = slug.slice(0, maxLength);
+  const lastBreak = cut.lastIndexOf('-');
+  return (lastBreak >= SHORTCODE_LENGTH.min ? cut.slice(0, lastBreak) : cut).replace(/-+$/, '');
+};
+
+// Numbered variants of a base slug ("sale-2", "sale-3", ...), shortened so
+// the suffix always fits.
+const slugVariants = (base, count) => {
+  const variants = [];
+  for (let n = 2; variants.length < count; n++) {
+    const suffix = `-${n}`;
+    variants.push(`${slugify(base, SHORTCODE_LENGTH.max - suffix.length)}${suffix}`);
+  }
+  return variants;
+};
+
+module.exports = {
+  RESERVED_SHORTCODES,
+  SHORTCODE_LENGTH,
+  isValidShortcode,
+  slugify,
+  slugVariants
+};
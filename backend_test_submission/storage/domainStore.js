@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const { logInfo } = require('../../logging_middleware/logger');
+
+// Like accounts, custom domains change rarely and are kept as one JSON
+// snapshot keyed by hostname.
+class DomainStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.domains = new Map();
+
+    if (filePath) {
+      this.load();
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const domains = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    domains.forEach(domain => this.domains.set(domain.hostname, domain));
+
+    logInfo('Domain store loaded', { file: this.filePath, domains: this.domains.size });
+  }
+
+  save() {
+    if (!this.filePath) return;
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  create(domain) {
+    this.domains.set(domain.hostname, domain);
+    this.save();
+    return domain;
+  }
+
+  findByHostname(hostname) {
+    return this.domains.get(hostname) || null;
+  }
+
+  remove(hostname) {
+    const removed = this.domains.delete(hostname);
+    if (removed) this.save();
+    return removed;
+  }
+
+  list() {
+    return Array.from(this.domains.values());
+  }
+}
+
+module.exports = DomainStore;
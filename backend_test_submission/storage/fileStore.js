@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const { logInfo, logWarn } = require('../../logging_middleware/logger');
+
+// Append-only JSON log: every mutation is written as one line and the whole
+// log is replayed into memory on startup.
+class FileStore extends MemoryStore {
+  constructor(filePath, options = {}) {
+    super(options);
+    this.filePath = filePath;
+
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.replay();
+  }
+
+  replay() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    let applied = 0;
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        logWarn('Skipping corrupt storage log line', { file: this.filePath, line: index + 1 });
+        return;
+      }
+
+      this.apply(record);
+      applied++;
+    });
+
+    logInfo('Storage log replayed', { file: this.filePath, records: applied, urls: this.urlStore.size });
+  }
+
+  apply(record) {
+    switch (record.op) {
+      case 'create':
+        super.create(record.entry);
+        break;
+      case 'click':
+        super.addClick(record.shortcode, record.click);
+        break;
+      case 'update':
+        super.update(record.shortcode, record.changes);
+        break;
+      case 'delete':
+        super.remove(record.shortcode);
+        break;
+      case 'archive':
+        super.archive(record.shortcode, record.archivedAt);
+        break;
+      case 'release':
+        super.releaseShortcode(record.shortcode);
+        break;
+      case 'restore':
+        super.restore(record.id, record.changes);
+        break;
+      case 'purge-clicks':
+        super.purgeClicks(record.id, record.before);
+        break;
+      default:
+        logWarn('Unknown storage log operation', { op: record.op });
+    }
+  }
+
+  append(record) {
+    fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+  }
+
+  create(urlEntry) {
+    this.append({ op: 'create', entry: urlEntry });
+    return super.create(urlEntry);
+  }
+
+  addClick(key, clickData) {
+    if (!this.findByShortcode(key)) return null;
+
+    this.append({ op: 'click', shortcode: key, click: clickData });
+    return super.addClick(key, clickData);
+  }
+
+  update(key, changes) {
+    if (!this.findByShortcode(key)) return null;
+
+    this.append({ op: 'update', shortcode: key, changes });
+    return super.update(key, changes);
+  }
+
+  remove(key) {
+    if (!this.findByShortcode(key)) return false;
+
+    this.append({ op: 'delete', shortcode: key });
+    return super.remove(key);
+  }
+
+  archive(key, archivedAt) {
+    if (!this.findByShortcode(key)) return null;
+
+    this.append({ op: 'archive', shortcode: key, archivedAt });
+    return super.archive(key, archivedAt);
+  }
+
+  releaseShortcode(key) {
+    if (!this.reservedShortcodes.has(this.indexKey(key))) return false;
+
+    this.append({ op: 'release', shortcode: key });
+    return super.releaseShortcode(key);
+  }
+
+  restore(id, changes) {
+    if (!this.findArchived(id)) return null;
+
+    this.append({ op: 'restore', id, changes });
+    return super.restore(id, changes);
+  }
+
+  purgeClicks(id, before) {
+    this.append({ op: 'purge-clicks', id, before });
+    return super.purgeClicks(id, before);
+  }
+}
+
+module.exports = FileStore;
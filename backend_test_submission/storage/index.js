@@ -0,0 +1,63 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const UserStore = require('./userStore');
+const DomainStore = require('./domainStore');
+const WebhookStore = require('./webhookStore');
+
+const createStore = (type = 'memory', options = {}) => {
+  switch (type) {
+    case 'memory':
+      return new MemoryStore(options);
+    case 'file':
+      return new FileStore(options.filePath || path.join(__dirname, '../../data/urls.log'), options);
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+const createUserStore = (type = 'memory', options = {}) => {
+  switch (type) {
+    case 'memory':
+      return new UserStore();
+    case 'file':
+      return new UserStore(options.usersFilePath || path.join(__dirname, '../../data/users.json'));
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+const createDomainStore = (type = 'memory', options = {}) => {
+  switch (type) {
+    case 'memory':
+      return new DomainStore();
+    case 'file':
+      return new DomainStore(options.domainsFilePath || path.join(__dirname, '../../data/domains.json'));
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+const createWebhookStore = (type = 'memory', options = {}) => {
+  switch (type) {
+    case 'memory':
+      return new WebhookStore();
+    case 'file':
+      return new WebhookStore(options.webhooksFilePath || path.join(__dirname, '../../data/webhooks.json'));
+    default:
+      throw new Error(`Unknown storage type: ${type}`);
+  }
+};
+
+module.exports = {
+  createStore,
+  createUserStore,
+  createDomainStore,
+  createWebhookStore,
+  shortcodeKey: MemoryStore.keyFor,
+  MemoryStore,
+  FileStore,
+  UserStore,
+  DomainStore,
+  WebhookStore
+};
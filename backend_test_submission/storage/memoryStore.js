@@ -0,0 +1,151 @@
+// Links are indexed by key: the bare shortcode on the default host, or
+// "hostname/shortcode" for links bound to a custom domain. With
+// caseInsensitive set, keys are folded to lower case before indexing while
+// entries keep the shortcode as it was entered.
+class MemoryStore {
+  static keyFor(shortcode, domain = null) {
+    return domain ? `${domain}/${shortcode}` : shortcode;
+  }
+
+  static keyOf(urlEntry) {
+    return MemoryStore.keyFor(urlEntry.shortcode, urlEntry.domain);
+  }
+
+  constructor(options = {}) {
+    this.caseInsensitive = !!options.caseInsensitive;
+    this.urlStore = new Map();
+    this.shortcodeToUrl = new Map();
+    this.archived = new Map();
+    this.reservedShortcodes = new Map();
+  }
+
+  indexKey(key) {
+    return this.caseInsensitive ? key.toLowerCase() : key;
+  }
+
+  create(urlEntry) {
+    this.urlStore.set(urlEntry.id, urlEntry);
+    this.shortcodeToUrl.set(this.indexKey(MemoryStore.keyOf(urlEntry)), urlEntry.id);
+    return urlEntry;
+  }
+
+  hasShortcode(key) {
+    return this.shortcodeToUrl.has(this.indexKey(key)) || this.reservedShortcodes.has(this.indexKey(key));
+  }
+
+  findByShortcode(key) {
+    const urlId = this.shortcodeToUrl.get(this.indexKey(key));
+    if (!urlId) return null;
+
+    return this.urlStore.get(urlId) || null;
+  }
+
+  addClick(key, clickData) {
+    const urlEntry = this.findByShortcode(key);
+    if (!urlEntry) return null;
+
+    urlEntry.clicks.push(clickData);
+    if (clickData.isBot) {
+      urlEntry.botClicks = (urlEntry.botClicks || 0) + 1;
+    } else {
+      urlEntry.totalClicks++;
+    }
+
+    return urlEntry;
+  }
+
+  update(key, changes) {
+    const urlEntry = this.findByShortcode(key);
+    if (!urlEntry) return null;
+
+    Object.assign(urlEntry, changes);
+
+    return urlEntry;
+  }
+
+  remove(key) {
+    const urlId = this.shortcodeToUrl.get(this.indexKey(key));
+    if (!urlId) return false;
+
+    this.shortcodeToUrl.delete(this.indexKey(key));
+    this.urlStore.delete(urlId);
+
+    return true;
+  }
+
+  list() {
+    return Array.from(this.urlStore.values());
+  }
+
+  // Archived entries leave the live index but keep their shortcode reserved
+  // until releaseShortcode is called for its key.
+  archive(key, archivedAt) {
+    const urlId = this.shortcodeToUrl.get(this.indexKey(key));
+    if (!urlId) return null;
+
+    const urlEntry = this.urlStore.get(urlId);
+    urlEntry.archivedAt = archivedAt;
+    urlEntry.shortcodeReleased = false;
+
+    this.shortcodeToUrl.delete(this.indexKey(key));
+    this.urlStore.delete(urlId);
+    this.archived.set(urlId, urlEntry);
+    this.reservedShortcodes.set(this.indexKey(key), urlId);
+
+    return urlEntry;
+  }
+
+  releaseShortcode(key) {
+    const urlId = this.reservedShortcodes.get(this.indexKey(key));
+    if (!urlId) return false;
+
+    this.reservedShortcodes.delete(this.indexKey(key));
+    this.archived.get(urlId).shortcodeReleased = true;
+
+    return true;
+  }
+
+  restore(id, changes) {
+    const urlEntry = this.archived.get(id);
+    if (!urlEntry) return null;
+
+    const previousKey = this.indexKey(MemoryStore.keyOf(urlEntry));
+    if (this.reservedShortcodes.get(previousKey) === id) {
+      this.reservedShortcodes.delete(previousKey);
+    }
+    this.archived.delete(id);
+
+    Object.assign(urlEntry, changes);
+    delete urlEntry.archivedAt;
+    delete urlEntry.shortcodeReleased;
+
+    this.urlStore.set(id, urlEntry);
+    this.shortcodeToUrl.set(this.indexKey(MemoryStore.keyOf(urlEntry)), id);
+
+    return urlEntry;
+  }
+
+  findArchived(id) {
+    return this.archived.get(id) || null;
+  }
+
+  listArchived() {
+    return Array.from(this.archived.values());
+  }
+
+  // Clicks are appended in time order, so everything before the first click
+  // at or after the cutoff can be dropped in one splice. Click counters are
+  // left untouched.
+  purgeClicks(id, before) {
+    const urlEntry = this.urlStore.get(id) || this.archived.get(id);
+    if (!urlEntry) return 0;
+
+    const keepFrom = urlEntry.clicks.findIndex(click => click.timestamp >= before);
+    const removed = keepFrom === -1 ? urlEntry.clicks.length : keepFrom;
+    urlEntry.clicks.splice(0, removed);
+
+    return removed;
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { logInfo } = require('../../logging_middleware/logger');
+
+// Accounts change rarely, so unlike the URL log the whole user set is kept
+// as a single JSON snapshot that is rewritten on every change.
+class UserStore {
+  constructor(filePath = null) {
+    this.filePath = filePath;
+    this.users = new Map();
+    this.usernameToUser = new Map();
+
+    if (filePath) {
+      this.load();
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const users = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    users.forEach(user => this.index(user));
+
+    logInfo('User store loaded', { file: this.filePath, users: this.users.size });
+  }
+
+  save() {
+    if (!this.filePath) return;
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  index(user) {
+    this.users.set(user.id, user);
+    this.usernameToUser.set(user.username.toLowerCase(), user.id);
+  }
+
+  create(user) {
+    this.index(user);
+    this.save();
+    return user;
+  }
+
+  findById(id) {
+    return this.users.get(id) || null;
+  }
+
+  findByUsername(username) {
+    const id = this.usernameToUser.get(username.toLowerCase());
+    return id ? this.findById(id) : null;
+  }
+
+  findByApiKeyHash(keyHash) {
+    return this.list().find(user => user.apiKeys.some(key => key.hash === keyHash)) || null;
+  }
+
+  findBySessionHash(tokenHash) {
+    return this.list().find(user => (user.sessions || []).some(session => session.hash === tokenHash)) || null;
+  }
+
+  update(id, changes) {
+    const user = this.findById(id);
+    if (!user) return null;
+
+    Object.assign(user, changes);
+    this.save();
+
+    return user;
+  }
+
+  list() {
+    return Array.from(this.users.values());
+  }
+}
+
+module.exports = UserStore;
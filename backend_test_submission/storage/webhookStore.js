@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logError } = require('../../logging_middleware/logger');
+
+// Subscriptions, pending deliveries and the recent delivery log are kept in
+// one JSON snapshot so queued retries survive a restart.
+class WebhookStore {
+  constructor(filePath = null, options = {}) {
+    this.filePath = filePath;
+    this.logLimit = options.logLimit || 50;
+    this.maxDeliveries = options.maxDeliveries || 5000;
+    this.saveDelayMs = options.saveDelayMs || 250;
+    this.subscriptions = new Map();
+    this.queue = new Map();
+    this.deliveries = [];
+    this.saveTimer = null;
+    this.writing = false;
+    this.pendingSave = false;
+
+    if (filePath) {
+      this.load();
+      process.once('exit', () => this.flush());
+    }
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    (data.subscriptions || []).forEach(subscription => this.subscriptions.set(subscription.id, subscription));
+    (data.queue || []).forEach(job => this.queue.set(job.id, job));
+    this.deliveries = data.deliveries || [];
+
+    logInfo('Webhook store loaded', {
+      file: this.filePath,
+      subscriptions: this.subscriptions.size,
+      queued: this.queue.size
+    });
+  }
+
+  snapshot() {
+    return JSON.stringify({
+      subscriptions: this.listSubscriptions(),
+      queue: this.listQueue(),
+      deliveries: this.deliveries
+    }, null, 2);
+  }
+
+  // Subscription changes are rare and written straight away.
+  save() {
+    if (!this.filePath) return;
+
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, this.snapshot());
+    fs.renameSync(tmpPath, this.filePath);
+
+    // An asynchronous write still in flight would land an older snapshot on
+    // top of this one, so queue a fresh one behind it.
+    if (this.writing) this.pendingSave = true;
+  }
+
+  // Queue and log changes come with every click on a watched link, so they
+  // are collected into one asynchronous write per saveDelayMs. A change made
+  // while a write is running is picked up by the next one.
+  scheduleSave() {
+    if (!this.filePath) return;
+
+    if (this.writing) {
+      this.pendingSave = true;
+      return;
+    }
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.writeSnapshot();
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  writeSnapshot() {
+    this.writing = true;
+    const tmpPath = `${this.filePath}.pending`;
+
+    fs.promises.mkdir(path.dirname(this.filePath), { recursive: true })
+      .then(() => fs.promises.writeFile(tmpPath, this.snapshot()))
+      .then(() => fs.promises.rename(tmpPath, this.filePath))
+      .catch(error => logError('Error saving webhook store', error, { file: this.filePath }))
+      .finally(() => {
+        this.writing = false;
+        if (this.pendingSave) {
+          this.pendingSave = false;
+          this.scheduleSave();
+        }
+      });
+  }
+
+  // Writes out anything still waiting for the timer, e.g. on shutdown.
+  flush() {
+    if (this.saveTimer || this.writing || this.pendingSave) {
+      this.save();
+    }
+  }
+
+  createSubscription(subscription) {
+    this.subscriptions.set(subscription.id, subscription);
+    this.save();
+    return subscription;
+  }
+
+  findSubscription(id) {
+    return this.subscriptions.get(id) || null;
+  }
+
+  removeSubscription(id) {
+    const removed = this.subscriptions.delete(id);
+    if (!removed) return false;
+
+    this.listQueue().filter(job => job.subscriptionId === id).forEach(job => this.queue.delete(job.id));
+    this.deliveries = this.deliveries.filter(delivery => delivery.subscriptionId !== id);
+    this.save();
+    return true;
+  }
+
+  listSubscriptions() {
+    return Array.from(this.subscriptions.values());
+  }
+
+  enqueue(jobs) {
+    jobs.forEach(job => this.queue.set(job.id, job));
+    this.scheduleSave();
+  }
+
+  updateJob(id, changes) {
+    const job = this.queue.get(id);
+    if (!job) return null;
+
+    Object.assign(job, changes);
+    this.scheduleSave();
+    return job;
+  }
+
+  removeJob(id) {
+    const removed = this.queue.delete(id);
+    if (removed) this.scheduleSave();
+    return removed;
+  }
+
+  listQueue() {
+    return Array.from(this.queue.values());
+  }
+
+  // Only the newest logLimit attempts per subscription, and maxDeliveries
+  // overall, are kept.
+  logDelivery(delivery) {
+    this.deliveries.push(delivery);
+
+    const forSubscription = this.deliveries.filter(entry => entry.subscriptionId === delivery.subscriptionId);
+    if (forSubscription.length > this.logLimit) {
+      const drop = new Set(forSubscription.slice(0, forSubscription.length - this.logLimit));
+      this.deliveries = this.deliveries.filter(entry => !drop.has(entry));
+    }
+    if (this.deliveries.length > this.maxDeliveries) {
+      this.deliveries = this.deliveries.slice(-this.maxDeliveries);
+    }
+
+    this.scheduleSave();
+    return delivery;
+  }
+
+  listDeliveries(subscriptionId) {
+    return this.deliveries.filter(delivery => delivery.subscriptionId === subscriptionId);
+  }
+}
+
+module.exports = WebhookStore;
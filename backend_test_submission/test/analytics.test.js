@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { aggregateClicks, countClicksInRange, hashVisitor } = require('../analytics');
+
+const click = (timestamp, changes = {}) => ({
+  timestamp,
+  referrer: 'direct',
+  visitorId: 'visitor-1',
+  browser: 'Chrome',
+  os: 'Windows',
+  device: 'desktop',
+  location: 'Berlin, DE',
+  isBot: false,
+  ...changes
+});
+
+const clicks = [
+  click('2024-01-01T10:00:00.000Z'),
+  click('2024-01-01T11:00:00.000Z', { visitorId: 'visitor-2', referrer: 'https://news.example' }),
+  click('2024-01-02T09:00:00.000Z', { isBot: true, browser: 'Googlebot', visitorId: 'bot' }),
+  click('2024-01-03T09:00:00.000Z', { campaign: { source: 'mail', medium: 'email', campaign: 'launch' }, rule: { id: 'r1', name: 'iOS' } }),
+  click('2024-02-01T09:00:00.000Z')
+];
+
+const range = { from: '2024-01-01T00:00:00.000Z', to: '2024-01-03T23:59:59.999Z' };
+
+test('aggregateClicks counts human clicks, bots and unique visitors in range', () => {
+  const result = aggregateClicks(clicks, range);
+
+  assert.equal(result.totalClicks, 3);
+  assert.equal(result.botClicks, 1);
+  assert.equal(result.uniqueVisitors, 2);
+});
+
+test('aggregateClicks fills a bucket for every day in the range', () => {
+  const result = aggregateClicks(clicks, range);
+
+  assert.deepEqual(result.timeSeries.map(point => point.clicks), [2, 0, 1]);
+  assert.deepEqual(result.timeSeries.map(point => point.uniqueVisitors), [2, 0, 1]);
+});
+
+test('aggregateClicks includes bots on request', () => {
+  const result = aggregateClicks(clicks, { ...range, includeBots: true });
+
+  assert.equal(result.totalClicks, 4);
+  assert.ok(result.browsers.some(entry => entry.browser === 'Googlebot'));
+});
+
+test('aggregateClicks ranks referrers, campaigns and rules', () => {
+  const result = aggregateClicks(clicks, range);
+
+  assert.deepEqual(result.topReferrers[0], { referrer: 'direct', clicks: 2 });
+  assert.ok(result.campaigns.some(entry => entry.campaign === 'launch' && entry.clicks === 1));
+  assert.ok(result.campaignSources.some(entry => entry.sourceMedium === 'mail / email'));
+  assert.ok(result.rules.some(entry => entry.rule === 'iOS'));
+  assert.ok(result.rules.some(entry => entry.rule === 'Default destination' && entry.clicks === 2));
+});
+
+test('aggregateClicks refuses ranges with too many buckets', () => {
+  assert.throws(() => aggregateClicks(clicks, { from: '2000-01-01T00:00:00.000Z', to: '2024-01-01T00:00:00.000Z', interval: 'hour' }),
+    { code: 'DATE_RANGE_TOO_LARGE' });
+});
+
+test('countClicksInRange uses inclusive bounds', () => {
+  assert.equal(countClicksInRange(clicks, '2024-01-01T11:00:00.000Z', '2024-01-03T09:00:00.000Z'), 2);
+  assert.equal(countClicksInRange(clicks, '2024-01-01T11:00:00.000Z', '2024-01-03T09:00:00.000Z', true), 3);
+});
+
+test('hashVisitor is keyed by the configured secret', () => {
+  const secret = 'visitor-secret-for-tests';
+  const unkeyed = require('crypto').createHash('sha256').update('203.0.113.7').digest('hex').slice(0, 16);
+
+  assert.equal(hashVisitor('203.0.113.7', secret), hashVisitor('203.0.113.7', secret));
+  assert.notEqual(hashVisitor('203.0.113.7', secret), hashVisitor('203.0.113.8', secret));
+  assert.notEqual(hashVisitor('203.0.113.7', secret), hashVisitor('203.0.113.7', 'another-visitor-secret'));
+  assert.notEqual(hashVisitor('203.0.113.7', secret), unkeyed);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../../config');
+
+test('loadConfig falls back to the defaults', () => {
+  const config = loadConfig({});
+
+  assert.equal(config.port, 5000);
+  assert.equal(config.publicBaseUrl, 'http://localhost:5000');
+  assert.equal(config.pathPrefix, '');
+  assert.equal(config.storage.type, 'memory');
+  assert.equal(config.shortcodes.strategy, 'random');
+});
+
+test('loadConfig applies and normalises environment overrides', () => {
+  const config = loadConfig({
+    PORT: '8080',
+    PUBLIC_BASE_URL: 'https://go.example.com/',
+    PATH_PREFIX: '/links/',
+    CORS_ORIGINS: 'https://a.example.com, https://b.example.com',
+    SHORTCODE_LENGTH: '6'
+  });
+
+  assert.equal(config.port, 8080);
+  assert.equal(config.publicBaseUrl, 'https://go.example.com');
+  assert.equal(config.pathPrefix, '/links');
+  assert.deepEqual(config.corsOrigins, ['https://a.example.com', 'https://b.example.com']);
+  assert.equal(config.shortcodes.length, 6);
+});
+
+test('loadConfig reports every invalid setting at once', () => {
+  assert.throws(() => loadConfig({ PORT: 'abc', RATE_LIMIT_MAX: '-1', PATH_PREFIX: '/a b' }), error => {
+    assert.match(error.message, /PORT must be a positive integer/);
+    assert.match(error.message, /RATE_LIMIT_MAX must be a positive integer/);
+    assert.match(error.message, /PATH_PREFIX may only contain/);
+    return true;
+  });
+});
+
+test('loadConfig rejects a public base URL with a query string', () => {
+  assert.throws(() => loadConfig({ PUBLIC_BASE_URL: 'https://go.example.com/?a=1' }), /must not contain a query string/);
+});
+
+test('loadConfig bounds the shortcode lengths', () => {
+  assert.throws(() => loadConfig({ SHORTCODE_LENGTH: '3' }), /SHORTCODE_LENGTH must be between 4 and 20/);
+  assert.throws(() => loadConfig({ SHORTCODE_MAX_LENGTH: '25' }), /SHORTCODE_MAX_LENGTH must be at most 20/);
+  assert.throws(() => loadConfig({ SHORTCODE_LENGTH: '10', SHORTCODE_MAX_LENGTH: '8' }), /must not be less than SHORTCODE_LENGTH/);
+  assert.throws(() => loadConfig({ SHORTCODE_STRATEGY: 'counter', SHORTCODE_LENGTH: '10', SHORTCODE_MAX_LENGTH: '12' }), /at most 9 with the counter strategy/);
+});
+
+test('loadConfig rejects unknown alphabets and strategies', () => {
+  assert.throws(() => loadConfig({ SHORTCODE_ALPHABET: 'abc' }), /SHORTCODE_ALPHABET must be one of/);
+  assert.throws(() => loadConfig({ SHORTCODE_STRATEGY: 'sequential' }), /SHORTCODE_STRATEGY must be one of/);
+});
+
+test('loadConfig rejects a blocklist file that does not exist', () => {
+  assert.throws(() => loadConfig({ BLOCKLIST_PATH: '/nonexistent/blocklist.txt' }), /BLOCKLIST_PATH points to a missing file/);
+});
+
+test('loadConfig requires a visitor hash secret of useful length', () => {
+  assert.equal(loadConfig({}).analytics.visitorHashSecret, null);
+  assert.equal(loadConfig({ VISITOR_HASH_SECRET: 'a-long-enough-secret' }).analytics.visitorHashSecret, 'a-long-enough-secret');
+  assert.throws(() => loadConfig({ VISITOR_HASH_SECRET: 'short' }), /VISITOR_HASH_SECRET must be at least 16 characters long/);
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryStore, FileStore, UserStore, WebhookStore } = require('../storage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'url-shortener-'));
+let fileCount = 0;
+const tempFile = (name) => path.join(tempDir, `${++fileCount}-${name}`);
+
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const entry = (shortcode, changes = {}) => ({
+  id: `id-${shortcode}`,
+  shortcode,
+  domain: null,
+  originalURL: 'https://example.com',
+  clicks: [],
+  totalClicks: 0,
+  botClicks: 0,
+  ...changes
+});
+
+test('MemoryStore indexes links per domain', () => {
+  const store = new MemoryStore();
+  store.create(entry('abc'));
+  store.create(entry('abc', { id: 'other', domain: 'go.example.com' }));
+
+  assert.equal(store.findByShortcode('abc').id, 'id-abc');
+  assert.equal(store.findByShortcode('go.example.com/abc').id, 'other');
+  assert.equal(store.findByShortcode('ABC'), null);
+});
+
+test('MemoryStore folds keys when case-insensitive', () => {
+  const store = new MemoryStore({ caseInsensitive: true });
+  store.create(entry('AbC'));
+
+  assert.equal(store.findByShortcode('abc').shortcode, 'AbC');
+  assert.ok(store.hasShortcode('ABC'));
+});
+
+test('MemoryStore counts human and bot clicks separately', () => {
+  const store = new MemoryStore();
+  store.create(entry('abc'));
+  store.addClick('abc', { timestamp: '2024-01-01T00:00:00.000Z', isBot: false });
+  store.addClick('abc', { timestamp: '2024-01-01T00:01:00.000Z', isBot: true });
+
+  const urlEntry = store.findByShortcode('abc');
+  assert.equal(urlEntry.totalClicks, 1);
+  assert.equal(urlEntry.botClicks, 1);
+  assert.equal(urlEntry.clicks.length, 2);
+});
+
+test('MemoryStore keeps archived shortcodes reserved until released', () => {
+  const store = new MemoryStore();
+  store.create(entry('abc'));
+  store.archive('abc', '2024-01-01T00:00:00.000Z');
+
+  assert.equal(store.findByShortcode('abc'), null);
+  assert.ok(store.hasShortcode('abc'));
+  assert.equal(store.releaseShortcode('abc'), true);
+  assert.equal(store.hasShortcode('abc'), false);
+  assert.equal(store.releaseShortcode('abc'), false);
+});
+
+test('MemoryStore purges clicks before a cutoff without touching counters', () => {
+  const store = new MemoryStore();
+  store.create(entry('abc'));
+  ['2024-01-01', '2024-02-01', '2024-03-01'].forEach(day => store.addClick('abc', { timestamp: `${day}T00:00:00.000Z` }));
+
+  assert.equal(store.purgeClicks('id-abc', '2024-02-01T00:00:00.000Z'), 1);
+  assert.equal(store.findByShortcode('abc').clicks.length, 2);
+  assert.equal(store.findByShortcode('abc').totalClicks, 3);
+});
+
+test('FileStore replays its log into the same state', () => {
+  const filePath = tempFile('urls.log');
+  const store = new FileStore(filePath);
+  store.create(entry('keep'));
+  store.create(entry('gone'));
+  store.create(entry('old'));
+  store.addClick('keep', { timestamp: '2024-01-01T00:00:00.000Z', isBot: false });
+  store.update('keep', { title: 'Kept' });
+  store.remove('gone');
+  store.archive('old', '2024-01-02T00:00:00.000Z');
+  store.releaseShortcode('old');
+
+  const replayed = new FileStore(filePath);
+  const kept = replayed.findByShortcode('keep');
+  assert.equal(kept.title, 'Kept');
+  assert.equal(kept.totalClicks, 1);
+  assert.equal(replayed.findByShortcode('gone'), null);
+  assert.equal(replayed.listArchived().length, 1);
+  assert.equal(replayed.hasShortcode('old'), false);
+});
+
+test('FileStore skips corrupt log lines', () => {
+  const filePath = tempFile('urls.log');
+  const store = new FileStore(filePath);
+  store.create(entry('abc'));
+  fs.appendFileSync(filePath, '{"op":"create",\n');
+  store.update('abc', { title: 'After' });
+
+  const replayed = new FileStore(filePath);
+  assert.equal(replayed.findByShortcode('abc').title, 'After');
+});
+
+test('FileStore releases case-folded shortcodes', () => {
+  const store = new FileStore(tempFile('urls.log'), { caseInsensitive: true });
+  store.create(entry('AbCd'));
+  store.archive('AbCd', '2024-01-01T00:00:00.000Z');
+
+  assert.equal(store.releaseShortcode('AbCd'), true);
+  assert.equal(store.hasShortcode('abcd'), false);
+});
+
+test('UserStore reloads users and finds them by key and session hash', () => {
+  const filePath = tempFile('users.json');
+  const store = new UserStore(filePath);
+  store.create({ id: 'u1', username: 'Alice', apiKeys: [{ hash: 'key-hash' }], sessions: [{ hash: 'session-hash' }] });
+
+  const reloaded = new UserStore(filePath);
+  assert.equal(reloaded.findByUsername('alice').id, 'u1');
+  assert.equal(reloaded.findByApiKeyHash('key-hash').id, 'u1');
+  assert.equal(reloaded.findBySessionHash('session-hash').id, 'u1');
+  assert.equal(reloaded.findBySessionHash('other'), null);
+});
+
+test('WebhookStore caps the delivery log per subscription and overall', () => {
+  const store = new WebhookStore(null, { logLimit: 2, maxDeliveries: 3 });
+  for (let i = 0; i < 5; i++) {
+    store.logDelivery({ id: `d${i}`, subscriptionId: i % 2 ? 'a' : 'b' });
+  }
+
+  assert.deepEqual(store.deliveries.map(delivery => delivery.id), ['d2', 'd3', 'd4']);
+  assert.deepEqual(store.listDeliveries('a').map(delivery => delivery.id), ['d3']);
+});
+
+test('WebhookStore writes queued jobs on flush', () => {
+  const filePath = tempFile('webhooks.json');
+  const store = new WebhookStore(filePath);
+  store.enqueue([{ id: 'job1', subscriptionId: 's1' }]);
+  store.flush();
+
+  const reloaded = new WebhookStore(filePath);
+  assert.deepEqual(reloaded.listQueue().map(job => job.id), ['job1']);
+});
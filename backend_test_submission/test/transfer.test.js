@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LINK_COLUMNS, serializeExport, parseImport } = require('../transfer');
+
+const link = {
+  shortcode: 'abc',
+  domain: null,
+  originalURL: 'https://example.com/?a=1,2',
+  title: 'Say "hi"',
+  tags: ['news', 'promo'],
+  active: true,
+  maxClicks: 5,
+  totalClicks: 2,
+  rules: [],
+  variants: [{ id: 'v1', name: 'A', url: 'https://a.example', weight: 1 }],
+  stickyVariants: false
+};
+
+const collect = (records, type, format) => [...serializeExport(records, type, format)].join('');
+
+test('CSV export quotes fields and flattens lists', () => {
+  const [header, row] = collect([link], 'links', 'csv').split('\r\n');
+
+  assert.equal(header, LINK_COLUMNS.join(','));
+  assert.match(row, /"https:\/\/example.com\/\?a=1,2"/);
+  assert.match(row, /"Say ""hi"""/);
+  assert.match(row, /news\|promo/);
+});
+
+test('CSV export round-trips through the importer', () => {
+  const [{ line, record }] = parseImport(collect([link], 'links', 'csv'));
+
+  assert.equal(line, 2);
+  assert.equal(record.originalURL, link.originalURL);
+  assert.equal(record.title, link.title);
+  assert.deepEqual(record.tags, link.tags);
+  assert.equal(record.active, true);
+  assert.equal(record.maxClicks, 5);
+  assert.deepEqual(record.rules, []);
+  assert.deepEqual(record.variants, link.variants);
+});
+
+test('CSV export defuses cells that spreadsheets would run as formulas', () => {
+  const risky = { ...link, title: '=HYPERLINK("https://evil.example")', folder: '@team', tags: ['-promo'] };
+  const text = collect([risky], 'links', 'csv');
+  const [, row] = text.split('\r\n');
+
+  assert.match(row, /"'=HYPERLINK\(""https:\/\/evil.example""\)"/);
+  assert.match(row, /,'-promo,'@team,/);
+
+  const [{ record }] = parseImport(text);
+  assert.equal(record.title, risky.title);
+  assert.equal(record.folder, '@team');
+  assert.deepEqual(record.tags, ['-promo']);
+});
+
+test('NDJSON export writes one record per line and is detected on import', () => {
+  const text = collect([link, { ...link, shortcode: 'def' }], 'links', 'ndjson');
+  const rows = parseImport(text);
+
+  assert.equal(text.split('\n').filter(Boolean).length, 2);
+  assert.deepEqual(rows.map(row => row.record.shortcode), ['abc', 'def']);
+});
+
+test('parseImport accepts a JSON array and flags rows that are not records', () => {
+  const rows = parseImport('[{"shortcode":"abc"}, 5]');
+  assert.equal(rows[0].record.shortcode, 'abc');
+  assert.equal(rows[1].record, null);
+});
+
+test('parseImport keeps the line numbers of NDJSON rows', () => {
+  const rows = parseImport('{"shortcode":"a"}\n\nnot json\n');
+  assert.deepEqual(rows.map(row => [row.line, row.record && row.record.shortcode]), [[1, 'a'], [3, null]]);
+});
+
+test('parseImport rejects empty bodies, unknown formats and CSV without a URL column', () => {
+  assert.throws(() => parseImport(''), { code: 'IMPORT_REQUIRED' });
+  assert.throws(() => parseImport('x', 'xml'), { code: 'INVALID_FORMAT' });
+  assert.throws(() => parseImport('shortcode\nabc\n'), { code: 'INVALID_IMPORT' });
+});
+
+test('click exports flatten campaign, rule and variant', () => {
+  const text = collect([{
+    shortcode: 'abc',
+    timestamp: '2024-01-01T00:00:00.000Z',
+    source: 'direct',
+    geo: { country: 'DE' },
+    campaign: { source: 'news', medium: 'email', campaign: 'launch' },
+    rule: { id: 'r1', name: 'iOS' },
+    variant: null
+  }], 'clicks', 'csv');
+
+  assert.match(text.split('\r\n')[1], /^abc,,2024-01-01T00:00:00.000Z,direct,,DE,,,,,,news,email,launch,iOS,$/);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { URLScreener, parseBlocklist } = require('../urlScreener');
+
+const codeOf = (fn) => {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error.code;
+  }
+};
+
+test('screen accepts ordinary public destinations', () => {
+  const screener = new URLScreener();
+  assert.equal(codeOf(() => screener.screen('https://example.com/page')), null);
+});
+
+test('screen rejects private, loopback and link-local targets', () => {
+  const screener = new URLScreener();
+  ['http://localhost/', 'http://127.0.0.1/', 'http://10.0.0.5/', 'http://[::1]/', 'http://169.254.169.254/', 'http://printer.local/']
+    .forEach(url => assert.equal(codeOf(() => screener.screen(url)), 'DESTINATION_PRIVATE', url));
+});
+
+test('screen allows private targets when told to', () => {
+  const screener = new URLScreener({ blockPrivateTargets: false });
+  assert.equal(codeOf(() => screener.screen('http://127.0.0.1/')), null);
+});
+
+test('screen rejects links back to the shortener itself', () => {
+  const screener = new URLScreener({ ownHosts: ['go.example.com'] });
+  assert.equal(codeOf(() => screener.screen('https://go.example.com/abc')), 'DESTINATION_SELF_REFERENCE');
+  assert.equal(codeOf(() => screener.screen('https://brand.example/abc', { ownHostnames: ['brand.example'] })), 'DESTINATION_SELF_REFERENCE');
+});
+
+test('screen applies allow and deny lists to subdomains too', () => {
+  const denying = new URLScreener({ denyDomains: ['bad.example'] });
+  assert.equal(codeOf(() => denying.screen('https://www.bad.example/')), 'DESTINATION_DENIED');
+
+  const allowing = new URLScreener({ allowDomains: ['good.example'] });
+  assert.equal(codeOf(() => allowing.screen('https://cdn.good.example/')), null);
+  assert.equal(codeOf(() => allowing.screen('https://other.example/')), 'DESTINATION_NOT_ALLOWED');
+});
+
+test('screen rejects other URL shorteners', () => {
+  const screener = new URLScreener();
+  assert.equal(codeOf(() => screener.screen('https://bit.ly/abc')), 'DESTINATION_SHORTENER');
+});
+
+test('parseBlocklist reads plain and hosts-file entries', () => {
+  const domains = parseBlocklist('# comment\nmalware.example\n0.0.0.0 phish.example # inline\n\n');
+  assert.ok(domains.has('malware.example'));
+  assert.ok(domains.has('phish.example'));
+  assert.equal(domains.size, 2);
+});
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const moment = require('moment');
+const { URLService } = require('../urlService');
+const { MemoryStore } = require('../storage');
+const { URLScreener } = require('../urlScreener');
+const { isValidShortcode } = require('../slugs');
+const { serializeExport, parseImport } = require('../transfer');
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+const SLACKBOT = 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)';
+
+const createService = (options = {}) => new URLService(new MemoryStore(), {
+  baseURL: 'https://go.example.com',
+  screener: new URLScreener({ ownHosts: ['go.example.com'] }),
+  ...options
+});
+
+const visit = (service, shortcode, userAgent = CHROME) => service.recordClick(shortcode, null, '203.0.113.7', userAgent);
+
+test('createShortURL stores a link under its custom shortcode', async () => {
+  const service = createService();
+  const created = await service.createShortURL('https://example.com/page', 60, 'my-link', 'owner');
+
+  assert.equal(created.shortLink, 'https://go.example.com/my-link');
+  assert.equal(service.findURL('my-link').originalURL, 'https://example.com/page');
+  assert.ok(moment(created.expiry).diff(moment(), 'minutes') >= 59);
+});
+
+test('createShortURL rejects taken, reserved and malformed shortcodes', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'taken', 'owner');
+
+  await assert.rejects(() => service.createShortURL('https://example.com', null, 'taken', 'owner'), { code: 'SHORTCODE_TAKEN' });
+  await assert.rejects(() => service.createShortURL('https://example.com', null, 'api', 'owner'), { code: 'SHORTCODE_RESERVED' });
+  await assert.rejects(() => service.createShortURL('https://example.com', null, '-bad', 'owner'), { code: 'INVALID_SHORTCODE' });
+  await assert.rejects(() => service.createShortURL('not a url', null, null, 'owner'), { code: 'INVALID_URL' });
+});
+
+test('createShortURL screens destinations', async () => {
+  const service = createService();
+  await assert.rejects(() => service.createShortURL('http://127.0.0.1/admin', null, null, 'owner'), { code: 'DESTINATION_PRIVATE' });
+  await assert.rejects(() => service.createShortURL('https://go.example.com/loop', null, null, 'owner'), { code: 'DESTINATION_SELF_REFERENCE' });
+});
+
+test('generated shortcodes always pass the shortcode pattern', async () => {
+  const service = createService();
+  for (let i = 0; i < 200; i++) {
+    const { shortcode } = await service.createShortURL('https://example.com', null, null, 'owner');
+    assert.ok(isValidShortcode(shortcode), shortcode);
+  }
+});
+
+test('deterministic mode only reuses links with the same metadata and a late enough expiry', async () => {
+  const service = createService({ shortcodes: { deterministic: true } });
+  const first = await service.createShortURL('https://example.com', 60, null, 'owner', { tags: ['news'] });
+
+  assert.equal((await service.createShortURL('https://example.com', 30, null, 'owner', { tags: ['News'] })).shortcode, first.shortcode);
+  assert.notEqual((await service.createShortURL('https://example.com', 120, null, 'owner', { tags: ['news'] })).shortcode, first.shortcode);
+  assert.notEqual((await service.createShortURL('https://example.com', 30, null, 'owner', { tags: ['news'], title: 'Launch' })).shortcode, first.shortcode);
+  assert.notEqual((await service.createShortURL('https://example.com', 30, null, 'owner', { tags: ['news'], folder: 'press' })).shortcode, first.shortcode);
+});
+
+test('recordClick counts visits and exhausts click-limited links', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'limited', 'owner', { maxClicks: 2 });
+
+  assert.ok(visit(service, 'limited'));
+  assert.ok(visit(service, 'limited'));
+  assert.equal(service.getLinkStatus(service.findURL('limited')), 'exhausted');
+  assert.equal(visit(service, 'limited'), null);
+  assert.equal(service.findURL('limited').totalClicks, 2);
+});
+
+test('bot visits spend the click budget too', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'once', 'owner', { maxClicks: 1 });
+
+  assert.ok(visit(service, 'once', SLACKBOT));
+  assert.equal(visit(service, 'once', SLACKBOT), null);
+  assert.equal(visit(service, 'once'), null);
+  assert.equal(service.getLinkStatus(service.findURL('once')), 'exhausted');
+});
+
+test('recordClick refuses disabled and scheduled links', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'later', 'owner', { notBefore: moment().add(1, 'hour').toISOString() });
+  await service.createShortURL('https://example.com', null, 'paused', 'owner');
+  await service.updateURL('paused', { active: false }, 'owner');
+
+  assert.equal(visit(service, 'later'), null);
+  assert.equal(visit(service, 'paused'), null);
+});
+
+test('expired links are not found for redirects', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'old', 'owner');
+  service.store.update('old', { expiryTime: moment().subtract(1, 'minute').toISOString() });
+
+  assert.equal(service.findURL('old'), null);
+});
+
+test('owners can still read statistics and analytics of expired links', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'old', 'owner');
+  visit(service, 'old');
+  service.store.update('old', { expiryTime: moment().subtract(1, 'minute').toISOString() });
+
+  const stats = service.getURLStatistics('old', 'owner');
+  assert.equal(stats.status, 'expired');
+  assert.equal(stats.totalClicks, 1);
+  assert.equal(service.getURLAnalytics('old', {}, 'owner').totalClicks, 1);
+  assert.equal(service.getURLStatistics('old', 'someone-else'), null);
+});
+
+test('password-protected links only unlock with the right password', async () => {
+  const service = createService();
+  const created = await service.createShortURL('https://example.com', null, 'secret', 'owner', { password: 'open sesame' });
+  const urlEntry = service.findURL('secret');
+
+  assert.equal(created.protected, true);
+  assert.equal(await service.verifyLinkPassword(urlEntry, 'open sesame'), true);
+  assert.equal(await service.verifyLinkPassword(urlEntry, 'wrong'), false);
+});
+
+test('routing rules pick the destination for matching visitors', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'app', 'owner', {
+    rules: [{ name: 'iOS', conditions: { os: 'iOS' }, url: 'https://apps.apple.com/app' }]
+  });
+
+  const ios = visit(service, 'app', IPHONE);
+  const desktop = visit(service, 'app');
+  const urlEntry = service.findURL('app');
+
+  assert.equal(service.resolveDestination(urlEntry, '', ios.rule), 'https://apps.apple.com/app');
+  assert.equal(desktop.rule, null);
+  assert.equal(service.resolveDestination(urlEntry, '', desktop.rule), 'https://example.com');
+});
+
+test('forwarded query strings are merged into the destination', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com/?a=1', null, 'fwd', 'owner', { forwardQuery: true });
+
+  assert.equal(service.resolveDestination(service.findURL('fwd'), 'b=2'), 'https://example.com/?a=1&b=2');
+});
+
+test('getAllURLs pages, filters and leaves click histories out', async () => {
+  const service = createService();
+  for (const code of ['one', 'two', 'three']) {
+    await service.createShortURL('https://example.com', null, code, 'owner', { tags: [code] });
+  }
+  await service.createShortURL('https://example.com', null, 'theirs', 'someone-else');
+  visit(service, 'two');
+
+  const listing = service.getAllURLs('owner', { pageSize: 2 });
+  assert.equal(listing.total, 3);
+  assert.equal(listing.totalPages, 2);
+  assert.equal(listing.items.length, 2);
+  assert.equal(listing.items[0].clicks, undefined);
+
+  const tagged = service.getAllURLs('owner', { tags: 'two' });
+  assert.deepEqual(tagged.items.map(item => [item.shortcode, item.totalClicks]), [['two', 1]]);
+});
+
+test('exported links import into another instance', async () => {
+  const source = createService();
+  await source.createShortURL('https://example.com/a', null, 'first', 'owner', { maxClicks: 1, tags: ['news'] });
+  visit(source, 'first');
+
+  const text = [...serializeExport(source.exportRecords('owner', { type: 'links' }), 'links', 'csv')].join('');
+  const target = createService();
+  const [result] = target.importLinks(parseImport(text), 'owner');
+  const imported = target.findURL('first');
+
+  assert.equal(result.outcome, 'created');
+  assert.deepEqual(imported.tags, ['news']);
+  assert.equal(target.getLinkStatus(imported), 'exhausted');
+});
+
+test('importLinks applies the conflict policy', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'dup', 'owner');
+  const rows = [{ line: 2, record: { shortcode: 'dup', originalURL: 'https://example.org' } }];
+
+  assert.equal(service.importLinks(rows, 'owner', { onConflict: 'skip' })[0].outcome, 'skipped');
+  const [renamed] = service.importLinks(rows, 'owner', { onConflict: 'rename' });
+  assert.equal(renamed.outcome, 'renamed');
+  assert.notEqual(renamed.shortcode, 'dup');
+  assert.equal(service.importLinks(rows, 'owner', { onConflict: 'overwrite' })[0].outcome, 'overwritten');
+  assert.equal(service.findURL('dup').originalURL, 'https://example.org');
+  assert.equal(service.importLinks(rows, 'intruder', { onConflict: 'overwrite' })[0].error.code, 'SHORTCODE_TAKEN');
+});
+
+test('sweep archives links past the grace period and frees their shortcodes', async () => {
+  const service = createService({ lifecycle: { archiveGraceMinutes: 60, shortcodeReuse: 'archive' } });
+  await service.createShortURL('https://example.com', null, 'stale', 'owner');
+  service.store.update('stale', { expiryTime: moment().subtract(2, 'hours').toISOString() });
+
+  const result = service.sweep();
+  assert.equal(result.archived, 1);
+  assert.equal(result.releasedShortcodes, 1);
+  assert.equal(service.store.hasShortcode('stale'), false);
+});
+
+test('temporary redirects are never cached', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', null, 'temp', 'owner');
+
+  assert.match(service.getRedirectHeaders(service.findURL('temp'))['Cache-Control'], /no-store/);
+});
+
+test('permanent redirects are cached privately and briefly, and only when every visit gets the same answer', async () => {
+  const service = createService();
+  await service.createShortURL('https://example.com', 24 * 60, 'perm', 'owner', { redirectType: 301 });
+  await service.createShortURL('https://example.com', 24 * 60, 'once', 'owner', { redirectType: 301, maxClicks: 1 });
+  await service.createShortURL('https://example.com', 24 * 60, 'locked', 'owner', { redirectType: 301, password: 'open sesame' });
+
+  assert.equal(service.getRedirectHeaders(service.findURL('perm'))['Cache-Control'], 'private, max-age=3600');
+  assert.match(service.getRedirectHeaders(service.findURL('once'))['Cache-Control'], /no-store/);
+  assert.match(service.getRedirectHeaders(service.findURL('locked'))['Cache-Control'], /no-store/);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { UserService } = require('../userService');
+const { UserStore } = require('../storage');
+
+const createService = (options = {}) => new UserService(new UserStore(), options);
+
+test('register returns a session that authenticates the new user', async () => {
+  const service = createService();
+  const { token, user } = await service.register('alice', 'password123');
+
+  assert.equal(service.authenticate(token).id, user.id);
+  assert.equal(service.authenticate('not-a-token'), null);
+});
+
+test('register validates input and refuses duplicate usernames', async () => {
+  const service = createService();
+  await service.register('alice', 'password123');
+
+  await assert.rejects(() => service.register('a', 'password123'), { code: 'INVALID_USERNAME' });
+  await assert.rejects(() => service.register('bob', 'short'), { code: 'INVALID_PASSWORD' });
+  await assert.rejects(() => service.register('ALICE', 'password123'), { code: 'USERNAME_TAKEN' });
+  await assert.rejects(() => createService({ allowRegistration: false }).register('bob', 'password123'), { code: 'REGISTRATION_DISABLED' });
+});
+
+test('login checks the password and logout ends the session', async () => {
+  const service = createService();
+  await service.register('alice', 'password123');
+
+  await assert.rejects(() => service.login('alice', 'wrong-password'), { code: 'INVALID_CREDENTIALS' });
+  const { token } = await service.login('alice', 'password123');
+  assert.ok(service.authenticate(token));
+  assert.equal(service.logout(token), true);
+  assert.equal(service.authenticate(token), null);
+});
+
+test('expired sessions no longer authenticate', async () => {
+  const service = createService();
+  const { token, user } = await service.register('alice', 'password123');
+  const stored = service.store.findById(user.id);
+  stored.sessions[0].expiresAt = new Date(Date.now() - 1000).toISOString();
+
+  assert.equal(service.authenticate(token), null);
+  assert.equal(service.store.findById(user.id).sessions.length, 0);
+});
+
+test('API keys authenticate until revoked', async () => {
+  const service = createService();
+  const { user } = await service.register('alice', 'password123');
+  const apiKey = service.createApiKey(user.id, 'ci');
+
+  assert.equal(service.authenticate(apiKey.key).id, user.id);
+  assert.deepEqual(service.listApiKeys(user.id).map(key => key.name), ['ci']);
+  service.revokeApiKey(user.id, apiKey.id);
+  assert.equal(service.authenticate(apiKey.key), null);
+});
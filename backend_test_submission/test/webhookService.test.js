@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebhookService, signPayload } = require('../webhookService');
+const WebhookStore = require('../storage/webhookStore');
+
+// Local receiver that answers with the given status and records requests.
+const startReceiver = (status) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = status;
+      res.end('received');
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` }));
+});
+
+const createService = (options = {}) => new WebhookService(new WebhookStore(), { allowPrivateTargets: true, ...options });
+
+test('signPayload is an HMAC over timestamp and body', () => {
+  const signature = signPayload('whsec_test', 1700000000, '{"a":1}');
+  assert.match(signature, /^[0-9a-f]{64}$/);
+  assert.equal(signature, signPayload('whsec_test', 1700000000, '{"a":1}'));
+  assert.notEqual(signature, signPayload('whsec_other', 1700000000, '{"a":1}'));
+});
+
+test('createSubscription rejects private targets unless allowed', () => {
+  const service = createService({ allowPrivateTargets: false });
+  assert.throws(() => service.createSubscription('owner', { url: 'http://127.0.0.1:9/hook' }), { code: 'WEBHOOK_TARGET_PRIVATE' });
+  assert.throws(() => service.createSubscription('owner', { url: 'ftp://example.com/' }), { code: 'INVALID_WEBHOOK_URL' });
+});
+
+test('emit only queues deliveries for the owner\'s matching subscriptions', () => {
+  const service = createService();
+  service.processQueue = () => {};
+  service.createSubscription('owner', { url: 'https://example.com/a', events: ['link.created'] });
+  service.createSubscription('owner', { url: 'https://example.com/b', events: ['link.clicked'] });
+  service.createSubscription('someone-else', { url: 'https://example.com/c', events: ['link.created'] });
+
+  assert.equal(service.emit('link.created', 'owner', { link: {} }), 1);
+  assert.equal(service.store.listQueue().length, 1);
+});
+
+test('deliveries are signed and removed from the queue once accepted', async (t) => {
+  const receiver = await startReceiver(200);
+  t.after(() => receiver.server.close());
+
+  const service = createService();
+  const { secret } = service.createSubscription('owner', { url: receiver.url });
+  service.processQueue = () => {};
+  service.emit('link.created', 'owner', { link: { shortcode: 'abc' } });
+  delete service.processQueue;
+  await service.processQueue();
+
+  assert.equal(receiver.requests.length, 1);
+  const { headers, body } = receiver.requests[0];
+  const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+  assert.equal(signature, signPayload(secret, timestamp, body));
+  assert.equal(JSON.parse(body).data.link.shortcode, 'abc');
+  assert.equal(service.store.listQueue().length, 0);
+  assert.equal(service.store.deliveries[0].status, 'succeeded');
+});
+
+test('failed deliveries are retried with backoff and abandoned after the last attempt', async (t) => {
+  const receiver = await startReceiver(500);
+  t.after(() => receiver.server.close());
+
+  const service = createService({ maxAttempts: 2, retryBaseSeconds: 30 });
+  service.createSubscription('owner', { url: receiver.url });
+  service.processQueue = () => {};
+  service.emit('link.created', 'owner', { link: {} });
+  delete service.processQueue;
+
+  await service.processQueue();
+  const [job] = service.store.listQueue();
+  assert.equal(job.attempts, 1);
+  assert.ok(new Date(job.nextAttemptAt) > new Date());
+
+  service.store.updateJob(job.id, { nextAttemptAt: new Date(0).toISOString() });
+  await service.processQueue();
+  assert.equal(service.store.listQueue().length, 0);
+  assert.deepEqual(service.store.deliveries.map(delivery => delivery.status), ['retrying', 'failed']);
+});
+
+test('deliveries to names that resolve to private addresses fail', async () => {
+  const service = createService({ allowPrivateTargets: false });
+  const outcome = await service.send({ url: 'http://localhost:9/hook', secret: 'whsec_test' }, { id: 'evt', event: 'webhook.test' });
+
+  assert.equal(outcome.ok, false);
+  assert.match(outcome.error, /private or local address/);
+});
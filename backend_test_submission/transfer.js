@@ -0,0 +1,207 @@
+const { ValidationError } = require('./errors');
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const EXPORT_TYPES = ['links', 'clicks'];
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// CSV has no nesting, so list and object columns are flattened: tags are
+// joined with "|" and rules/variants are embedded as JSON text.
+const LINK_COLUMNS = [
+  'shortcode', 'domain', 'shortLink', 'originalURL', 'title', 'tags', 'folder', 'status', 'active', 'redirectType',
+  'protected', 'forwardQuery', 'maxClicks', 'createdAt', 'notBefore', 'expiryTime', 'totalClicks', 'botClicks',
+  'rules', 'variants', 'stickyVariants', 'generator'
+];
+const CLICK_COLUMNS = [
+  'shortcode', 'domain', 'timestamp', 'source', 'location', 'country', 'browser', 'os', 'device', 'isBot', 'botName',
+  'utmSource', 'utmMedium', 'utmCampaign', 'rule', 'variant'
+];
+const JSON_COLUMNS = ['rules', 'variants'];
+const BOOLEAN_COLUMNS = ['active', 'protected', 'forwardQuery', 'stickyVariants'];
+const INTEGER_COLUMNS = ['redirectType', 'maxClicks', 'totalClicks', 'botClicks'];
+
+// Spreadsheets run cells that start with these characters as formulas, so
+// such values are exported behind a quote mark, which the importer strips.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const FORMULA_ESCAPE = /^'(?=[=+\-@\t\r])/;
+
+const escapeField = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => values.map(escapeField).join(',') + '\r\n';
+
+const flattenLink = (record) => LINK_COLUMNS.map(column => {
+  const value = record[column];
+  if (column === 'tags') return (value || []).join('|');
+  if (JSON_COLUMNS.includes(column)) return value && value.length > 0 ? JSON.stringify(value) : '';
+  return value;
+});
+
+const flattenClick = (record) => CLICK_COLUMNS.map(column => {
+  const campaign = record.campaign || {};
+  switch (column) {
+    case 'country': return record.geo ? record.geo.country : '';
+    case 'utmSource': return campaign.source;
+    case 'utmMedium': return campaign.medium;
+    case 'utmCampaign': return campaign.campaign;
+    case 'rule': return record.rule ? record.rule.name || record.rule.id : '';
+    case 'variant': return record.variant ? record.variant.name : '';
+    default: return record[column];
+  }
+});
+
+// Turns export records into text chunks one row at a time, so a response
+// can be streamed without building the whole file in memory.
+function* serializeExport(records, type, format) {
+  if (format === 'ndjson') {
+    for (const record of records) {
+      yield JSON.stringify(record) + '\n';
+    }
+    return;
+  }
+
+  yield csvRow(type === 'links' ? LINK_COLUMNS : CLICK_COLUMNS);
+  for (const record of records) {
+    yield csvRow(type === 'links' ? flattenLink(record) : flattenClick(record));
+  }
+}
+
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push({ line: rowLine, values: row });
+
+  return rows;
+};
+
+// Values that cannot be decoded are passed through as-is and left for the
+// importer's field validation to reject.
+const decodeLinkColumn = (column, rawValue) => {
+  const value = rawValue.replace(FORMULA_ESCAPE, '');
+  if (value === '') return column === 'tags' || JSON_COLUMNS.includes(column) ? [] : null;
+  if (column === 'tags') return value.split('|');
+  if (BOOLEAN_COLUMNS.includes(column)) return value === 'true' ? true : value === 'false' ? false : value;
+  if (INTEGER_COLUMNS.includes(column)) return /^\d+$/.test(value) ? Number(value) : value;
+  if (JSON_COLUMNS.includes(column)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+const parseCSVLinks = (text) => {
+  const [header, ...rows] = parseCSV(text);
+  if (!header || !header.values.includes('originalURL')) {
+    throw new ValidationError('INVALID_IMPORT', 'CSV import needs a header row with at least an originalURL column');
+  }
+
+  const columns = header.values.map(value => value.trim());
+  return rows.map(({ line, values }) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (LINK_COLUMNS.includes(column)) {
+        record[column] = decodeLinkColumn(column, (values[index] || '').trim());
+      }
+    });
+    return { line, record };
+  });
+};
+
+const asRecord = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : null);
+
+const parseNDJSONLinks = (text) => text.split('\n')
+  .map((content, index) => ({ line: index + 1, content: content.trim() }))
+  .filter(({ content }) => content)
+  .map(({ line, content }) => {
+    try {
+      return { line, record: asRecord(JSON.parse(content)) };
+    } catch (error) {
+      return { line, record: null };
+    }
+  });
+
+// A plain JSON array of link records is accepted too; "line" is then the
+// record's position in the array.
+const parseJSONArrayLinks = (text) => {
+  let records;
+  try {
+    records = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError('INVALID_IMPORT', 'JSON import must be a valid array of link records');
+  }
+  return records.map((record, index) => ({ line: index + 1, record: asRecord(record) }));
+};
+
+// NDJSON and JSON arrays are recognised by their first non-blank character
+// when no format is given; anything else is read as CSV.
+const parseImport = (text, format = null) => {
+  if (format && !EXPORT_FORMATS.includes(format)) {
+    throw new ValidationError('INVALID_FORMAT', `Format must be one of ${EXPORT_FORMATS.join(', ')}`, { field: 'format' });
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ValidationError('IMPORT_REQUIRED', 'Send the exported file as the request body');
+  }
+
+  const start = text.trimStart()[0];
+  if (format !== 'csv' && start === '[') {
+    return parseJSONArrayLinks(text);
+  }
+
+  const detected = format || (start === '{' ? 'ndjson' : 'csv');
+  return detected === 'ndjson' ? parseNDJSONLinks(text) : parseCSVLinks(text);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  CONTENT_TYPES,
+  LINK_COLUMNS,
+  CLICK_COLUMNS,
+  serializeExport,
+  parseImport
+};
@@ -0,0 +1,48 @@
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// The page is self-contained (inline styles, no scripts) so it can be served
+// with a locked-down Content-Security-Policy.
+const renderUnlockPage = ({ shortcode, error = null, blocked = false }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex, nofollow">
+  <title>Protected link</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      background: #f5f5f5; font-family: Roboto, Arial, sans-serif; color: #212121; }
+    main { background: #fff; padding: 32px; border-radius: 8px; width: 100%; max-width: 360px;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15); }
+    h1 { font-size: 1.4rem; margin: 0 0 8px; }
+    p { margin: 0 0 16px; color: #616161; }
+    input { width: 100%; box-sizing: border-box; padding: 10px; font-size: 1rem; border: 1px solid #bdbdbd;
+      border-radius: 4px; margin-bottom: 16px; }
+    button { width: 100%; padding: 10px; font-size: 1rem; border: 0; border-radius: 4px; background: #1976d2;
+      color: #fff; cursor: pointer; }
+    button:disabled { background: #9e9e9e; cursor: not-allowed; }
+    .error { color: #d32f2f; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>&#128274; Protected link</h1>
+    <p>Enter the password to continue to <strong>/${escapeHTML(shortcode)}</strong>.</p>
+    ${error ? `<p class="error">${escapeHTML(error)}</p>` : ''}
+    <form method="post" action="">
+      <input type="password" name="password" placeholder="Password" autocomplete="off" autofocus required${blocked ? ' disabled' : ''}>
+      <button type="submit"${blocked ? ' disabled' : ''}>Unlock</button>
+    </form>
+  </main>
+</body>
+</html>`;
+
+module.exports = {
+  renderUnlockPage,
+  escapeHTML
+};
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const { logInfo, logWarn } = require('../logging_middleware/logger');
+const { parseIP, isPrivateIP } = require('./geoip');
+const { ValidationError, ForbiddenError } = require('./errors');
+
+const KNOWN_SHORTENERS = [
+  'bit.ly',
+  'bitly.com',
+  'buff.ly',
+  'cutt.ly',
+  'goo.gl',
+  'is.gd',
+  'lnkd.in',
+  'ow.ly',
+  'rb.gy',
+  'rebrand.ly',
+  's.id',
+  'shorturl.at',
+  't.co',
+  't.ly',
+  'tiny.cc',
+  'tinyurl.com',
+  'v.gd'
+];
+
+const LOCAL_SUFFIXES = ['localhost', 'local', 'internal', 'localdomain'];
+
+const normalizeHost = (host) => String(host).trim().toLowerCase().replace(/\.$/, '');
+
+// A rule for "example.com" also covers every subdomain of it.
+const matchesDomain = (hostname, domains) => domains.some(domain =>
+  hostname === domain || hostname.endsWith(`.${domain}`));
+
+// Accepts plain domain lists as well as hosts-file style lines
+// ("0.0.0.0 bad.example"); "#" starts a comment.
+const parseBlocklist = (text) => {
+  const domains = new Set();
+
+  text.split('\n').forEach(line => {
+    const content = line.split('#')[0].trim();
+    if (!content) return;
+
+    const tokens = content.split(/\s+/);
+    domains.add(normalizeHost(tokens[tokens.length - 1]));
+  });
+
+  return domains;
+};
+
+class URLScreener {
+  constructor(options = {}) {
+    this.allowDomains = (options.allowDomains || []).map(normalizeHost);
+    this.denyDomains = (options.denyDomains || []).map(normalizeHost);
+    this.shortenerDomains = (options.shortenerDomains || KNOWN_SHORTENERS).map(normalizeHost);
+    this.blockPrivateTargets = options.blockPrivateTargets !== false;
+    this.ownHosts = (options.ownHosts || []).map(normalizeHost);
+    this.blocklistPath = options.blocklistPath || null;
+    this.blocklist = new Set();
+
+    this.reloadBlocklist();
+  }
+
+  reloadBlocklist() {
+    if (!this.blocklistPath) return;
+
+    try {
+      this.blocklist = parseBlocklist(fs.readFileSync(this.blocklistPath, 'utf8'));
+      logInfo('Destination blocklist loaded', { file: this.blocklistPath, domains: this.blocklist.size });
+    } catch (error) {
+      logWarn('Unable to load destination blocklist, keeping previous entries', {
+        file: this.blocklistPath,
+        reason: error.message
+      });
+    }
+  }
+
+  isBlocklisted(hostname) {
+    if (this.blocklist.has(hostname)) return true;
+
+    const labels = hostname.split('.');
+    for (let i = 1; i < labels.length - 1; i++) {
+      if (this.blocklist.has(labels.slice(i).join('.'))) return true;
+    }
+    return false;
+  }
+
+  isPrivateHost(hostname) {
+    if (matchesDomain(hostname, LOCAL_SUFFIXES) || (!hostname.includes('.') && !hostname.includes(':'))) {
+      return true;
+    }
+
+    const parsed = parseIP(hostname);
+    return !!parsed && isPrivateIP(parsed);
+  }
+
+  // Throws on the first rule the destination breaks. Hostnames are not
+  // resolved, so only literal addresses and local names count as private.
+  // context.ownHostnames lists custom domains served by this instance.
+  screen(url, context = {}) {
+    const parsed = new URL(url);
+    const host = normalizeHost(parsed.host);
+    const hostname = normalizeHost(parsed.hostname).replace(/^\[|\]$/g, '');
+
+    if (this.ownHosts.includes(host) || (context.ownHostnames || []).includes(hostname)) {
+      throw new ValidationError('DESTINATION_SELF_REFERENCE', 'Destination points back to this shortener', { status: 422, field: 'url' });
+    }
+
+    if (this.blockPrivateTargets && this.isPrivateHost(hostname)) {
+      throw new ValidationError('DESTINATION_PRIVATE', 'Destination is a private, loopback or link-local address', { status: 422, field: 'url' });
+    }
+
+    if (this.allowDomains.length > 0 && !matchesDomain(hostname, this.allowDomains)) {
+      throw new ForbiddenError('DESTINATION_NOT_ALLOWED', 'Destination domain is not on the allow list', { field: 'url' });
+    }
+
+    if (matchesDomain(hostname, this.denyDomains)) {
+      throw new ForbiddenError('DESTINATION_DENIED', 'Destination domain is on the deny list', { field: 'url' });
+    }
+
+    if (this.isBlocklisted(hostname)) {
+      throw new ForbiddenError('DESTINATION_MALICIOUS', 'Destination is on the malicious domain blocklist', { field: 'url' });
+    }
+
+    if (matchesDomain(hostname, this.shortenerDomains)) {
+      throw new ValidationError('DESTINATION_SHORTENER', 'Destination is another URL shortener', { status: 422, field: 'url' });
+    }
+  }
+}
+
+module.exports = {
+  URLScreener,
+  KNOWN_SHORTENERS,
+  parseBlocklist
+};
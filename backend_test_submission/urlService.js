@@ -1,11 +1,99 @@
 const { nanoid } = require('nanoid');
 const moment = require('moment');
 const { logInfo, logError, logWarn } = require('../logging_middleware/logger');
+const { createStore, shortcodeKey } = require('./storage');
+const { INTERVALS, aggregateClicks, countClicksInRange, hashVisitor, visitorIdOf } = require('./analytics');
+const { GeoIPLookup } = require('./geoip');
+const { parseUserAgent } = require('./userAgent');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { URLScreener } = require('./urlScreener');
+const domainService = require('./domainService');
+const webhookService = require('./webhookService');
+const { RESERVED_SHORTCODES, SHORTCODE_LENGTH, isValidShortcode, slugify, slugVariants } = require('./slugs');
+const { mergeQuery, extractCampaign } = require('./campaigns');
+const { normalizeRules, matchRule } = require('./routingRules');
+const { normalizeVariants, pickVariant } = require('./variants');
+const { EXPORT_TYPES } = require('./transfer');
+const { resolveAlphabet, randomCode, encodeBase62, decodeBase62, firstCounterValue } = require('./shortcodeStrategies');
+const { ValidationError, NotFoundError, ConflictError, CapacityError, fieldError } = require('./errors');
 
-const urlStore = new Map();
-const shortcodeToUrl = new Map();
+const REDIRECT_TYPES = [301, 302, 307];
+const DEFAULT_REDIRECT_TYPE = 302;
+const DEFAULT_VALIDITY_MINUTES = 30;
+const MAX_REDIRECT_CACHE_SECONDS = 3600;
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 32;
+const MAX_FOLDER_LENGTH = 64;
+const LINK_STATUSES = ['active', 'scheduled', 'exhausted', 'disabled', 'expired'];
+const LINK_SORTS = ['created', 'expiry', 'clicks'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const IMPORT_CONFLICT_POLICIES = ['skip', 'overwrite', 'rename'];
+const SHORTCODE_RULE = 'Custom shortcode must be 3-20 letters or digits, optionally joined by "-" or "_"';
+const DEFAULT_LIFECYCLE = {
+  sweepIntervalSeconds: 60,
+  archiveGraceMinutes: 24 * 60,
+  shortcodeReuse: 'never',
+  shortcodeCooldownDays: 30,
+  clickRetentionDays: 365
+};
+const DEFAULT_SHORTCODES = {
+  strategy: 'random',
+  length: 8,
+  maxLength: 12,
+  alphabet: 'url',
+  maxAttempts: 10,
+  deterministic: false,
+  reserved: []
+};
+const config = require('../config');
 
 class URLService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.baseURL = (options.baseURL || 'http://localhost:5000') + (options.pathPrefix || '');
+    this.pathPrefix = options.pathPrefix || '';
+    this.protocol = new URL(this.baseURL).protocol;
+    this.domains = options.domains || null;
+    this.webhooks = options.webhooks || null;
+    this.expiringWindowMinutes = options.expiringWindowMinutes || 60;
+    this.geoip = options.geoip || null;
+    this.visitorHashSecret = options.visitorHashSecret || null;
+    this.screener = options.screener || null;
+    this.lifecycle = { ...DEFAULT_LIFECYCLE, ...options.lifecycle };
+    this.shortcodes = { ...DEFAULT_SHORTCODES, ...options.shortcodes };
+    this.alphabet = resolveAlphabet(this.shortcodes.alphabet);
+    this.reservedShortcodes = new Set([...RESERVED_SHORTCODES, ...this.shortcodes.reserved]);
+    this.nextCounterValue = null;
+    this.sweepTimer = null;
+  }
+
+  buildShortLink(shortcode, domain = null) {
+    if (domain) {
+      return `${this.protocol}//${domain}${this.pathPrefix}/${shortcode}`;
+    }
+    return `${this.baseURL}/${shortcode}`;
+  }
+
+  // Store key for a shortcode: management routes and the redirect route
+  // resolve the domain first and pass the key to the methods below.
+  keyFor(shortcode, domain = null) {
+    return shortcodeKey(shortcode, domain);
+  }
+
+  // Webhook delivery is queued and retried by the dispatcher; it never
+  // delays or fails the link operation that triggered it.
+  notify(event, urlEntry, extra = {}) {
+    if (!this.webhooks || !urlEntry.owner) return;
+    this.webhooks.emit(event, urlEntry.owner, { link: this.formatEntry(urlEntry), ...extra });
+  }
+
+  resolveDomain(domain) {
+    if (!domain) return null;
+    return this.domains ? this.domains.resolveHost(domain) : null;
+  }
+
   validateURL(url) {
     try {
       const urlObj = new URL(url);
@@ -16,72 +104,362 @@ class URLService {
   }
 
   validateShortcode(shortcode) {
-    if (!shortcode || typeof shortcode !== 'string') return false;
-    const shortcodeRegex = /^[a-zA-Z0-9]{3,20}$/;
-    return shortcodeRegex.test(shortcode);
+    return isValidShortcode(shortcode);
   }
 
-  generateShortcode() {
-    let shortcode;
-    let attempts = 0;
-    const maxAttempts = 10;
+  // Reserved words are matched case-insensitively whatever the lookup policy,
+  // since Express routes are case-insensitive too.
+  isReservedShortcode(shortcode) {
+    return this.reservedShortcodes.has(shortcode.toLowerCase());
+  }
+
+  isShortcodeAvailable(shortcode, domain = null) {
+    return this.validateShortcode(shortcode) &&
+      !this.isReservedShortcode(shortcode) &&
+      !this.store.hasShortcode(this.keyFor(shortcode, domain));
+  }
+
+  suggestShortcodes(shortcode, domain = null, count = 3) {
+    const base = slugify(shortcode);
+    if (base.length < SHORTCODE_LENGTH.min) return [];
+
+    return [base, ...slugVariants(base, 10)]
+      .filter(candidate => candidate !== shortcode && this.isShortcodeAvailable(candidate, domain))
+      .slice(0, count);
+  }
+
+  checkAvailability(shortcode, domainName = null) {
+    const domain = this.resolveDomain(domainName);
+    if (domainName && !domain) {
+      throw new ValidationError('UNKNOWN_DOMAIN', 'Domain is not registered on this server', { field: 'domain' });
+    }
+
+    let reason = null;
+    if (!this.validateShortcode(shortcode)) {
+      reason = 'invalid';
+    } else if (this.isReservedShortcode(shortcode)) {
+      reason = 'reserved';
+    } else if (this.store.hasShortcode(this.keyFor(shortcode, domain))) {
+      reason = 'taken';
+    }
+
+    return {
+      shortcode,
+      domain,
+      available: !reason,
+      reason,
+      suggestions: reason ? this.suggestShortcodes(shortcode, domain) : []
+    };
+  }
+
+  slugFromTitle(title, domain = null) {
+    const base = slugify(title);
+    const shortcode = [base, ...slugVariants(base, 20)].find(candidate => this.isShortcodeAvailable(candidate, domain));
+
+    if (!shortcode) {
+      throw new ConflictError('SHORTCODE_TAKEN', 'Every shortcode derived from this title is taken', { field: 'title' });
+    }
+    return shortcode;
+  }
 
+  isGeneratedShortcodeFree(shortcode, domain) {
+    return !this.isReservedShortcode(shortcode) && !this.store.hasShortcode(this.keyFor(shortcode, domain));
+  }
+
+  generateShortcode(domain = null) {
+    if (this.shortcodes.strategy === 'counter') {
+      return this.generateCounterShortcode(domain);
+    }
+
+    // Each length gets maxAttempts tries; a crowded length is a sign the
+    // space is filling up, so the next attempts use one more character.
+    const { length, maxLength, maxAttempts } = this.shortcodes;
+    for (let size = length; size <= maxLength; size++) {
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const shortcode = randomCode(this.alphabet, size);
+        if (this.isGeneratedShortcodeFree(shortcode, domain)) {
+          return shortcode;
+        }
+      }
+
+      if (size < maxLength) {
+        logWarn('Shortcode collisions exceeded retry limit, growing length', { length: size + 1, domain });
+      }
+    }
+
+    throw new CapacityError('SHORTCODE_SPACE_EXHAUSTED', 'Unable to generate unique shortcode');
+  }
+
+  // The counter resumes after the highest value found in the store, so it
+  // survives restarts without storing anything extra. Values whose code was
+  // taken by a custom shortcode (or is reserved) are skipped.
+  generateCounterShortcode(domain) {
+    if (this.nextCounterValue === null) {
+      const used = [...this.store.list(), ...this.store.listArchived()]
+        .filter(urlEntry => urlEntry.generator === 'counter')
+        .map(urlEntry => decodeBase62(urlEntry.shortcode))
+        .filter(Number.isSafeInteger);
+      this.nextCounterValue = Math.max(firstCounterValue(this.shortcodes.length), ...used.map(value => value + 1));
+    }
+
+    let shortcode;
     do {
-      shortcode = nanoid(8);
-      attempts++;
-      if (attempts > maxAttempts) {
-        throw new Error('Unable to generate unique shortcode');
+      if (!Number.isSafeInteger(this.nextCounterValue)) {
+        throw new CapacityError('SHORTCODE_SPACE_EXHAUSTED', 'Shortcode counter has run out of values');
       }
-    } while (shortcodeToUrl.has(shortcode));
+      shortcode = encodeBase62(this.nextCounterValue++);
+    } while (!this.isGeneratedShortcodeFree(shortcode, domain));
 
     return shortcode;
   }
 
-  createShortURL(originalURL, validity = 30, customShortcode = null) {
+  // Deterministic mode hands back an owner's live link to the same URL.
+  // Links with a password, schedule, click limit, routing rules or variants
+  // are never shared, and neither are requests that ask for one, a custom
+  // code or a different redirect type. The link must also carry the same
+  // title, tags and folder and stay live at least until the requested expiry.
+  findReusableLink(originalURL, owner, domain, redirectType, options = {}, expiryTime = null) {
+    if (options.password || options.maxClicks != null || options.notBefore != null || options.expiresAt != null ||
+      (options.rules && options.rules.length > 0) || (options.variants && options.variants.length > 0)) {
+      return null;
+    }
+
+    const title = options.title ? options.title.trim() : null;
+    const folder = options.folder ? options.folder.trim() : null;
+    const tags = [...(options.tags == null ? [] : this.normalizeTags(options.tags))].sort().join(',');
+
+    return this.store.list().find(urlEntry =>
+      urlEntry.owner === owner &&
+      urlEntry.originalURL === originalURL &&
+      !!urlEntry.forwardQuery === !!options.forwardQuery &&
+      (urlEntry.domain || null) === domain &&
+      this.getRedirectType(urlEntry) === redirectType &&
+      !urlEntry.passwordHash &&
+      !urlEntry.maxClicks &&
+      !urlEntry.notBefore &&
+      !this.routesPerVisitor(urlEntry) &&
+      (urlEntry.title || null) === title &&
+      (urlEntry.folder || null) === folder &&
+      [...(urlEntry.tags || [])].sort().join(',') === tags &&
+      !(expiryTime && moment(urlEntry.expiryTime).isBefore(expiryTime)) &&
+      this.getLinkStatus(urlEntry) === 'active'
+    ) || null;
+  }
+
+  screenURL(url) {
+    if (!this.screener) return;
+
     try {
-      logInfo('Creating short URL', { originalURL, validity, customShortcode });
+      this.screener.screen(url, { ownHostnames: this.domains ? this.domains.listHostnames() : [] });
+    } catch (error) {
+      logWarn('Destination rejected by screening', { url, reason: error.message });
+      throw error;
+    }
+  }
+
+  validateRedirectType(redirectType) {
+    return REDIRECT_TYPES.includes(redirectType);
+  }
+
+  validateLinkPassword(password) {
+    return typeof password === 'string' && password.length >= 4 && password.length <= 128;
+  }
+
+  validateMaxClicks(maxClicks) {
+    return Number.isInteger(maxClicks) && maxClicks > 0;
+  }
+
+  // Tags are trimmed, lower-cased and de-duplicated. Returns null when the
+  // list is not acceptable.
+  normalizeTags(tags) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS) return null;
+
+    const normalized = tags.map(tag => (typeof tag === 'string' ? tag.trim().toLowerCase() : ''));
+    if (normalized.some(tag => !tag || tag.length > MAX_TAG_LENGTH || tag.includes(','))) return null;
+
+    return [...new Set(normalized)];
+  }
+
+  validateFolder(folder) {
+    return typeof folder === 'string' && folder.trim().length > 0 && folder.trim().length <= MAX_FOLDER_LENGTH;
+  }
+
+  parseTime(value, label, field) {
+    const time = moment(value, moment.ISO_8601, true);
+    if (typeof value !== 'string' || !time.isValid()) {
+      throw new ValidationError('INVALID_DATE', `${label} must be a valid ISO 8601 date`, { field });
+    }
+    return time;
+  }
+
+  async createShortURL(originalURL, validity = null, customShortcode = null, owner = null, options = {}) {
+    try {
+      logInfo('Creating short URL', {
+        originalURL,
+        validity,
+        customShortcode,
+        owner,
+        redirectType: options.redirectType,
+        notBefore: options.notBefore,
+        expiresAt: options.expiresAt,
+        maxClicks: options.maxClicks,
+        domain: options.domain,
+        protected: !!options.password
+      });
+
+      const redirectType = options.redirectType === undefined ? DEFAULT_REDIRECT_TYPE : options.redirectType;
+      const domain = this.resolveDomain(options.domain);
+      const details = [];
+
+      // An A/B link may leave out url; its first variant is then the one
+      // shown wherever a single destination is needed.
+      if (!originalURL && Array.isArray(options.variants) && options.variants[0]) {
+        originalURL = options.variants[0].url;
+      }
+
+      if (options.domain && !domain) {
+        details.push(fieldError('domain', 'UNKNOWN_DOMAIN', 'Domain is not registered on this server'));
+      }
 
       if (!this.validateURL(originalURL)) {
-        throw new Error('Invalid URL format');
+        details.push(fieldError('url', 'INVALID_URL', 'Invalid URL format'));
       }
 
       if (validity && (typeof validity !== 'number' || validity <= 0)) {
-        throw new Error('Validity must be a positive integer');
+        details.push(fieldError('validity', 'INVALID_VALIDITY', 'Validity must be a positive integer'));
+      }
+
+      if (!this.validateRedirectType(redirectType)) {
+        details.push(fieldError('redirectType', 'INVALID_REDIRECT_TYPE', `Redirect type must be one of ${REDIRECT_TYPES.join(', ')}`));
+      }
+
+      if (options.password && !this.validateLinkPassword(options.password)) {
+        details.push(fieldError('password', 'INVALID_LINK_PASSWORD', 'Link password must be 4-128 characters long'));
+      }
+
+      if (options.maxClicks != null && !this.validateMaxClicks(options.maxClicks)) {
+        details.push(fieldError('maxClicks', 'INVALID_MAX_CLICKS', 'Max clicks must be a positive integer'));
+      }
+
+      if (options.forwardQuery != null && typeof options.forwardQuery !== 'boolean') {
+        details.push(fieldError('forwardQuery', 'INVALID_FORWARD_QUERY', 'forwardQuery must be true or false'));
+      }
+
+      const tags = options.tags == null ? [] : this.normalizeTags(options.tags);
+      if (!tags) {
+        details.push(fieldError('tags', 'INVALID_TAGS', `Tags must be a list of at most ${MAX_TAGS} labels of 1-${MAX_TAG_LENGTH} characters without commas`));
       }
 
+      if (options.folder != null && !this.validateFolder(options.folder)) {
+        details.push(fieldError('folder', 'INVALID_FOLDER', `Folder must be a name of 1-${MAX_FOLDER_LENGTH} characters`));
+      }
+
+      const rules = options.rules === undefined ? [] : normalizeRules(options.rules, details);
+      const variants = options.variants === undefined ? [] : normalizeVariants(options.variants, details);
+
+      if (options.stickyVariants != null && typeof options.stickyVariants !== 'boolean') {
+        details.push(fieldError('stickyVariants', 'INVALID_STICKY_VARIANTS', 'stickyVariants must be true or false'));
+      }
+
+      if (validity && options.expiresAt != null) {
+        details.push(fieldError('expiresAt', 'CONFLICTING_EXPIRY', 'Provide either validity or expiresAt, not both'));
+      }
+
+      if (options.title != null && (typeof options.title !== 'string' || options.title.length > MAX_TITLE_LENGTH)) {
+        details.push(fieldError('title', 'INVALID_TITLE', `Title must be text of at most ${MAX_TITLE_LENGTH} characters`));
+      }
+
+      if (customShortcode && !this.validateShortcode(customShortcode)) {
+        details.push(fieldError('shortcode', 'INVALID_SHORTCODE', SHORTCODE_RULE));
+      } else if (customShortcode && this.isReservedShortcode(customShortcode)) {
+        details.push(fieldError('shortcode', 'SHORTCODE_RESERVED', `"${customShortcode}" is reserved and cannot be used as a shortcode`));
+      }
+
+      if (options.autoSlug && customShortcode) {
+        details.push(fieldError('autoSlug', 'CONFLICTING_SHORTCODE', 'Provide either a custom shortcode or autoSlug, not both'));
+      } else if (options.autoSlug && slugify(typeof options.title === 'string' ? options.title : '').length < SHORTCODE_LENGTH.min) {
+        details.push(fieldError('title', 'TITLE_REQUIRED', 'A title with at least 3 letters or digits is needed to build the shortcode'));
+      }
+
+      if (details.length > 0) {
+        throw ValidationError.fromDetails(details);
+      }
+
+      this.screenURL(originalURL);
+      rules.forEach(rule => this.screenURL(rule.url));
+      variants.forEach(variant => this.screenURL(variant.url));
+
+      const createdAt = moment();
+      const notBefore = options.notBefore != null ? this.parseTime(options.notBefore, 'Activation time', 'notBefore') : null;
+      const expiryTime = options.expiresAt != null
+        ? this.parseTime(options.expiresAt, 'Expiry time', 'expiresAt')
+        : moment.max(createdAt, notBefore || createdAt).clone().add(validity || DEFAULT_VALIDITY_MINUTES, 'minutes');
+
+      if (!expiryTime.isAfter(createdAt)) {
+        throw new ValidationError('EXPIRY_IN_PAST', 'Expiry time must be in the future', { field: 'expiresAt' });
+      }
+
+      if (notBefore && !notBefore.isBefore(expiryTime)) {
+        throw new ValidationError('INVALID_SCHEDULE', 'Activation time must be before the expiry time', { field: 'notBefore' });
+      }
+
+      if (this.shortcodes.deterministic && !customShortcode && !options.autoSlug) {
+        const existing = this.findReusableLink(originalURL, owner, domain, redirectType, options, expiryTime);
+        if (existing) {
+          logInfo('Reusing existing short URL', { shortcode: existing.shortcode, owner });
+          return { ...this.formatCreated(existing), existing: true };
+        }
+      }
+
+      // Hashed before the shortcode is picked, so nothing can claim it while
+      // the hash is computed.
+      const passwordHash = options.password ? await hashPassword(options.password) : null;
+
       let shortcode;
+      let generator;
       if (customShortcode) {
-        if (!this.validateShortcode(customShortcode)) {
-          throw new Error('Custom shortcode must be alphanumeric and 3-20 characters long');
-        }
-        if (shortcodeToUrl.has(customShortcode)) {
-          throw new Error('Custom shortcode already exists');
+        if (this.store.hasShortcode(this.keyFor(customShortcode, domain))) {
+          throw new ConflictError('SHORTCODE_TAKEN', 'Custom shortcode already exists', { field: 'shortcode' });
         }
         shortcode = customShortcode;
+        generator = 'custom';
+      } else if (options.autoSlug) {
+        shortcode = this.slugFromTitle(options.title, domain);
+        generator = 'slug';
       } else {
-        shortcode = this.generateShortcode();
+        shortcode = this.generateShortcode(domain);
+        generator = this.shortcodes.strategy;
       }
 
-      const createdAt = moment();
-      const expiryTime = createdAt.add(validity, 'minutes');
-
       const urlEntry = {
         id: nanoid(),
         originalURL,
         shortcode,
+        generator,
+        domain,
+        title: options.title ? options.title.trim() : null,
+        tags,
+        folder: options.folder ? options.folder.trim() : null,
+        owner,
         createdAt: createdAt.toISOString(),
         expiryTime: expiryTime.toISOString(),
+        notBefore: notBefore ? notBefore.toISOString() : null,
+        maxClicks: options.maxClicks || null,
+        forwardQuery: !!options.forwardQuery,
+        rules,
+        variants,
+        stickyVariants: !!options.stickyVariants,
+        active: true,
+        redirectType,
+        passwordHash,
         clicks: [],
         totalClicks: 0
       };
 
-      urlStore.set(urlEntry.id, urlEntry);
-      shortcodeToUrl.set(shortcode, urlEntry.id);
+      this.store.create(urlEntry);
+      this.notify('link.created', urlEntry);
 
-      return {
-        shortLink: `http://localhost:5000/${shortcode}`,
-        expiry: expiryTime.toISOString()
-      };
+      return { ...this.formatCreated(urlEntry), existing: false };
 
     } catch (error) {
       logError('Error creating short URL', error);
@@ -89,12 +467,315 @@ class URLService {
     }
   }
 
-  getURLByShortcode(shortcode) {
+  formatCreated(urlEntry) {
+    return {
+      shortLink: this.buildShortLink(urlEntry.shortcode, urlEntry.domain),
+      shortcode: urlEntry.shortcode,
+      domain: urlEntry.domain || null,
+      title: urlEntry.title || null,
+      expiry: urlEntry.expiryTime,
+      notBefore: urlEntry.notBefore || null,
+      maxClicks: urlEntry.maxClicks || null,
+      redirectType: this.getRedirectType(urlEntry),
+      protected: this.isProtected(urlEntry)
+    };
+  }
+
+  // Items are created one after another, so later items see the shortcodes
+  // taken by earlier ones.
+  async createShortURLs(items, owner = null) {
+    logInfo('Creating short URLs in bulk', { count: items.length, owner });
+
+    const outcomes = [];
+    for (const [index, item] of items.entries()) {
+      try {
+        const { url, validity, shortcode, ...options } = item || {};
+        const {
+          redirectType, password, notBefore, expiresAt, maxClicks, domain, title, autoSlug, forwardQuery, rules, variants, stickyVariants,
+          tags, folder
+        } = options;
+        outcomes.push({
+          index,
+          result: await this.createShortURL(url, validity, shortcode, owner, {
+            redirectType, password, notBefore, expiresAt, maxClicks, domain, title, autoSlug, forwardQuery, rules, variants, stickyVariants,
+            tags, folder
+          })
+        });
+      } catch (error) {
+        outcomes.push({ index, error });
+      }
+    }
+    return outcomes;
+  }
+
+  async updateURL(key, changes = {}, owner = null) {
     try {
-      const urlId = shortcodeToUrl.get(shortcode);
-      if (!urlId) return null;
+      logInfo('Updating short URL', { key, fields: Object.keys(changes).filter(field => changes[field] !== undefined), owner });
+
+      // Hashed up front, so the link is read and updated in one step.
+      const passwordHash = this.validateLinkPassword(changes.password) ? await hashPassword(changes.password) : null;
+
+      const urlEntry = this.store.findByShortcode(key);
+      if (!urlEntry || !this.isOwnedBy(urlEntry, owner)) {
+        throw new NotFoundError('LINK_NOT_FOUND', 'Short URL not found');
+      }
+
+      const updates = {};
+
+      if (changes.url !== undefined) {
+        if (!this.validateURL(changes.url)) {
+          throw new ValidationError('INVALID_URL', 'Invalid URL format', { field: 'url' });
+        }
+        this.screenURL(changes.url);
+        updates.originalURL = changes.url;
+      }
+
+      if (changes.expiryTime !== undefined && changes.extendBy !== undefined) {
+        throw new ValidationError('CONFLICTING_EXPIRY', 'Provide either expiryTime or extendBy, not both', { field: 'extendBy' });
+      }
+
+      if (changes.expiryTime !== undefined) {
+        const expiryTime = this.parseTime(changes.expiryTime, 'Expiry time', 'expiryTime');
+        if (!expiryTime.isAfter(moment())) {
+          throw new ValidationError('EXPIRY_IN_PAST', 'Expiry time must be in the future', { field: 'expiryTime' });
+        }
+        updates.expiryTime = expiryTime.toISOString();
+      }
+
+      if (changes.extendBy !== undefined) {
+        if (!Number.isInteger(changes.extendBy) || changes.extendBy <= 0) {
+          throw new ValidationError('INVALID_EXTENSION', 'Extension must be a positive integer', { field: 'extendBy' });
+        }
+        const from = moment.max(moment(), moment(urlEntry.expiryTime));
+        updates.expiryTime = from.add(changes.extendBy, 'minutes').toISOString();
+      }
+
+      if (changes.active !== undefined) {
+        if (typeof changes.active !== 'boolean') {
+          throw new ValidationError('INVALID_ACTIVE', 'Active must be a boolean', { field: 'active' });
+        }
+        updates.active = changes.active;
+      }
+
+      if (changes.redirectType !== undefined) {
+        if (!this.validateRedirectType(changes.redirectType)) {
+          throw new ValidationError('INVALID_REDIRECT_TYPE', `Redirect type must be one of ${REDIRECT_TYPES.join(', ')}`, { field: 'redirectType' });
+        }
+        updates.redirectType = changes.redirectType;
+      }
+
+      if (changes.notBefore !== undefined) {
+        updates.notBefore = changes.notBefore === null ? null : this.parseTime(changes.notBefore, 'Activation time', 'notBefore').toISOString();
+      }
 
-      const urlEntry = urlStore.get(urlId);
+      if (changes.maxClicks !== undefined) {
+        if (changes.maxClicks !== null && !this.validateMaxClicks(changes.maxClicks)) {
+          throw new ValidationError('INVALID_MAX_CLICKS', 'Max clicks must be a positive integer', { field: 'maxClicks' });
+        }
+        updates.maxClicks = changes.maxClicks;
+      }
+
+      if (changes.forwardQuery !== undefined) {
+        if (typeof changes.forwardQuery !== 'boolean') {
+          throw new ValidationError('INVALID_FORWARD_QUERY', 'forwardQuery must be true or false', { field: 'forwardQuery' });
+        }
+        updates.forwardQuery = changes.forwardQuery;
+      }
+
+      if (changes.tags !== undefined) {
+        const tags = changes.tags === null ? [] : this.normalizeTags(changes.tags);
+        if (!tags) {
+          throw new ValidationError('INVALID_TAGS', `Tags must be a list of at most ${MAX_TAGS} labels of 1-${MAX_TAG_LENGTH} characters without commas`, { field: 'tags' });
+        }
+        updates.tags = tags;
+      }
+
+      if (changes.folder !== undefined) {
+        if (changes.folder === null || changes.folder === '') {
+          updates.folder = null;
+        } else if (!this.validateFolder(changes.folder)) {
+          throw new ValidationError('INVALID_FOLDER', `Folder must be a name of 1-${MAX_FOLDER_LENGTH} characters`, { field: 'folder' });
+        } else {
+          updates.folder = changes.folder.trim();
+        }
+      }
+
+      if (changes.rules !== undefined) {
+        const details = [];
+        const rules = normalizeRules(changes.rules, details);
+        if (details.length > 0) {
+          throw ValidationError.fromDetails(details);
+        }
+        rules.forEach(rule => this.screenURL(rule.url));
+        updates.rules = rules;
+      }
+
+      if (changes.variants !== undefined) {
+        const details = [];
+        const variants = normalizeVariants(changes.variants, details);
+        if (details.length > 0) {
+          throw ValidationError.fromDetails(details);
+        }
+        variants.forEach(variant => this.screenURL(variant.url));
+        updates.variants = variants;
+      }
+
+      if (changes.stickyVariants !== undefined) {
+        if (typeof changes.stickyVariants !== 'boolean') {
+          throw new ValidationError('INVALID_STICKY_VARIANTS', 'stickyVariants must be true or false', { field: 'stickyVariants' });
+        }
+        updates.stickyVariants = changes.stickyVariants;
+      }
+
+      const nextExpiry = updates.expiryTime || urlEntry.expiryTime;
+      const nextNotBefore = updates.notBefore !== undefined ? updates.notBefore : urlEntry.notBefore;
+      if (nextNotBefore && !moment(nextNotBefore).isBefore(nextExpiry)) {
+        throw new ValidationError('INVALID_SCHEDULE', 'Activation time must be before the expiry time', { field: 'notBefore' });
+      }
+
+      if (changes.password !== undefined) {
+        if (changes.password === null || changes.password === '') {
+          updates.passwordHash = null;
+        } else if (!this.validateLinkPassword(changes.password)) {
+          throw new ValidationError('INVALID_LINK_PASSWORD', 'Link password must be 4-128 characters long', { field: 'password' });
+        } else {
+          updates.passwordHash = passwordHash;
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        throw new ValidationError('NOTHING_TO_UPDATE', 'No updatable fields provided');
+      }
+
+      // A new expiry gets its own expiring/expired notifications.
+      if (updates.expiryTime) {
+        updates.expiringNotifiedAt = null;
+        updates.expiredNotifiedAt = null;
+      }
+
+      const updated = this.store.update(key, updates);
+
+      return this.formatEntry(updated);
+
+    } catch (error) {
+      logError('Error updating short URL', error);
+      throw error;
+    }
+  }
+
+  deleteURL(key, owner = null) {
+    try {
+      logInfo('Deleting short URL', { key, owner });
+
+      const urlEntry = this.store.findByShortcode(key);
+      if (!urlEntry || !this.isOwnedBy(urlEntry, owner) || !this.store.remove(key)) {
+        throw new NotFoundError('LINK_NOT_FOUND', 'Short URL not found');
+      }
+
+      return true;
+    } catch (error) {
+      logError('Error deleting short URL', error);
+      throw error;
+    }
+  }
+
+  isActive(urlEntry) {
+    return urlEntry.active !== false;
+  }
+
+  isProtected(urlEntry) {
+    return !!urlEntry.passwordHash;
+  }
+
+  async verifyLinkPassword(urlEntry, password) {
+    return verifyPassword(password, urlEntry.passwordHash);
+  }
+
+  getRedirectType(urlEntry) {
+    return urlEntry.redirectType || DEFAULT_REDIRECT_TYPE;
+  }
+
+  // Where a visit ends up: the matched rule's or chosen variant's URL, or
+  // the stored one, plus the visit's own query parameters for links that
+  // forward them.
+  resolveDestination(urlEntry, queryString = '', target = null) {
+    const base = target ? target.url : urlEntry.originalURL;
+    if (!urlEntry.forwardQuery || !queryString) {
+      return base;
+    }
+    return mergeQuery(base, queryString);
+  }
+
+  // Rules are evaluated in order against the visitor's OS, device class and
+  // country; the first match wins and no match means the stored URL.
+  matchRoutingRule(urlEntry, visitor) {
+    return matchRule(urlEntry.rules, visitor);
+  }
+
+  // Sticky links keep a returning visitor on the variant they saw before,
+  // as long as it still exists; everyone else gets a weighted pick.
+  chooseVariant(urlEntry, previousId = null) {
+    const variants = urlEntry.variants || [];
+    if (urlEntry.stickyVariants && previousId) {
+      const previous = variants.find(variant => variant.id === previousId);
+      if (previous) return previous;
+    }
+    return pickVariant(variants);
+  }
+
+  routesPerVisitor(urlEntry) {
+    return (urlEntry.rules || []).length > 0 || (urlEntry.variants || []).length > 0;
+  }
+
+  // Permanent redirects may be cached by the visitor's browser for up to an
+  // hour, or until the link expires if that is sooner, so disabling a link
+  // takes effect within that time. Temporary redirects are never cached, and
+  // neither are links whose answer depends on the visit: click limits,
+  // schedules, passwords, routing rules and variants. Shared caches never
+  // keep a redirect, since links belong to their owner.
+  getRedirectHeaders(urlEntry) {
+    const redirectType = this.getRedirectType(urlEntry);
+    const decidedPerVisit = !!urlEntry.maxClicks || !!urlEntry.notBefore || !!urlEntry.passwordHash ||
+      this.routesPerVisitor(urlEntry);
+
+    if (redirectType === 301 && !decidedPerVisit) {
+      const untilExpiry = Math.max(0, moment(urlEntry.expiryTime).diff(moment(), 'seconds'));
+      const maxAge = Math.min(untilExpiry, MAX_REDIRECT_CACHE_SECONDS);
+      return {
+        'Cache-Control': `private, max-age=${maxAge}`,
+        Expires: moment().add(maxAge, 'seconds').toDate().toUTCString()
+      };
+    }
+
+    return {
+      'Cache-Control': 'private, no-cache, no-store, max-age=0, must-revalidate',
+      Pragma: 'no-cache',
+      Expires: '0'
+    };
+  }
+
+  isOwnedBy(urlEntry, owner) {
+    return owner === null || urlEntry.owner === owner;
+  }
+
+  // Every served redirect spends the budget, bots included, so link
+  // previews cannot keep a one-time link alive past its limit.
+  getRemainingClicks(urlEntry) {
+    if (!urlEntry.maxClicks) return null;
+    return Math.max(0, urlEntry.maxClicks - urlEntry.totalClicks - (urlEntry.botClicks || 0));
+  }
+
+  getLinkStatus(urlEntry, now = moment()) {
+    if (now.isAfter(urlEntry.expiryTime)) return 'expired';
+    if (!this.isActive(urlEntry)) return 'disabled';
+    if (urlEntry.notBefore && now.isBefore(urlEntry.notBefore)) return 'scheduled';
+    if (this.getRemainingClicks(urlEntry) === 0) return 'exhausted';
+    return 'active';
+  }
+
+  findURL(key) {
+    try {
+      const urlEntry = this.store.findByShortcode(key);
       if (!urlEntry) return null;
 
       if (moment().isAfter(urlEntry.expiryTime)) {
@@ -103,56 +784,190 @@ class URLService {
 
       return urlEntry;
     } catch (error) {
-      logError('Error getting URL by shortcode', error);
+      logError('Error finding URL', error);
       throw error;
     }
   }
 
-  recordClick(shortcode, referrer = null, ip = null) {
+  // Owners keep access to expired links, which stay in their listing until
+  // archived; only the redirect path treats them as gone.
+  findOwnedURL(key, owner = null) {
     try {
-      const urlId = shortcodeToUrl.get(shortcode);
-      if (!urlId) return false;
+      const urlEntry = this.store.findByShortcode(key);
+      if (!urlEntry || !this.isOwnedBy(urlEntry, owner)) return null;
 
-      const urlEntry = urlStore.get(urlId);
-      if (!urlEntry) return false;
+      return urlEntry;
+    } catch (error) {
+      logError('Error finding owned URL', error);
+      throw error;
+    }
+  }
 
-      if (moment().isAfter(urlEntry.expiryTime)) {
-        return false;
+  getURLByShortcode(key) {
+    try {
+      const urlEntry = this.findURL(key);
+      if (!urlEntry || this.getLinkStatus(urlEntry) !== 'active') return null;
+
+      return urlEntry;
+    } catch (error) {
+      logError('Error getting URL by shortcode', error);
+      throw error;
+    }
+  }
+
+  // Returns the stored click, including the routing rule that matched or
+  // the variant that was served, or null when the link is gone or no longer
+  // active. A matching rule always wins over the A/B rotation.
+  recordClick(key, referrer = null, ip = null, userAgent = null, queryString = '', previousVariantId = null) {
+    try {
+      const urlEntry = this.store.findByShortcode(key);
+      if (!urlEntry) return null;
+
+      // Check and append happen in the same synchronous step, so two
+      // concurrent visits cannot both spend the last click of a budget.
+      if (this.getLinkStatus(urlEntry) !== 'active') {
+        return null;
       }
 
+      const { location, geo } = this.geoip ? this.geoip.locate(ip) : { location: 'Unknown', geo: null };
+      const agent = parseUserAgent(userAgent);
+      const rule = this.matchRoutingRule(urlEntry, {
+        os: agent.os,
+        device: agent.device,
+        country: geo ? geo.country : null
+      });
+      const variant = rule ? null : this.chooseVariant(urlEntry, previousVariantId);
+      const target = rule || variant;
+
       const clickData = {
         timestamp: moment().toISOString(),
         referrer: referrer || 'direct',
         ip: ip || 'unknown',
-        location: 'Unknown'
+        visitorId: hashVisitor(ip, this.visitorHashSecret),
+        userAgent: userAgent || null,
+        browser: agent.browser,
+        os: agent.os,
+        device: agent.device,
+        isBot: agent.isBot,
+        botType: agent.botType,
+        botName: agent.botName,
+        location,
+        geo,
+        rule: rule ? { id: rule.id, name: rule.name, url: rule.url } : null,
+        variant: variant ? { id: variant.id, name: variant.name, url: variant.url } : null,
+        campaign: extractCampaign(queryString, target ? target.url : urlEntry.originalURL)
       };
 
-      urlEntry.clicks.push(clickData);
-      urlEntry.totalClicks++;
+      if (!this.store.addClick(key, clickData)) {
+        return null;
+      }
 
-      return true;
+      this.notify('link.clicked', urlEntry, {
+        click: {
+          timestamp: clickData.timestamp,
+          referrer: clickData.referrer,
+          browser: clickData.browser,
+          os: clickData.os,
+          device: clickData.device,
+          isBot: clickData.isBot,
+          location: clickData.location,
+          rule: clickData.rule,
+          variant: clickData.variant,
+          campaign: clickData.campaign
+        }
+      });
+      return clickData;
     } catch (error) {
       logError('Error recording click', error);
-      return false;
+      throw error;
     }
   }
 
-  getURLStatistics(shortcode) {
+  formatEntry(urlEntry) {
+    return {
+      shortLink: this.buildShortLink(urlEntry.shortcode, urlEntry.domain),
+      shortcode: urlEntry.shortcode,
+      domain: urlEntry.domain || null,
+      title: urlEntry.title || null,
+      tags: urlEntry.tags || [],
+      folder: urlEntry.folder || null,
+      originalURL: urlEntry.originalURL,
+      createdAt: urlEntry.createdAt,
+      expiryTime: urlEntry.expiryTime,
+      notBefore: urlEntry.notBefore || null,
+      status: this.getLinkStatus(urlEntry),
+      active: this.isActive(urlEntry),
+      redirectType: this.getRedirectType(urlEntry),
+      protected: this.isProtected(urlEntry),
+      maxClicks: urlEntry.maxClicks || null,
+      forwardQuery: !!urlEntry.forwardQuery,
+      rules: urlEntry.rules || [],
+      variants: urlEntry.variants || [],
+      stickyVariants: !!urlEntry.stickyVariants,
+      remainingClicks: this.getRemainingClicks(urlEntry),
+      totalClicks: urlEntry.totalClicks
+    };
+  }
+
+  formatClicks(clicks, includeBots = false) {
+    return clicks.filter(click => includeBots || !click.isBot).map(click => ({
+      timestamp: click.timestamp,
+      source: click.referrer,
+      location: click.location,
+      geo: click.geo || null,
+      browser: click.browser || null,
+      os: click.os || null,
+      device: click.device || null,
+      isBot: !!click.isBot,
+      botType: click.botType || null,
+      botName: click.botName || null,
+      rule: click.rule || null,
+      variant: click.variant || null,
+      campaign: click.campaign || null
+    }));
+  }
+
+  // Click counts and shares per current variant, over the clicks being
+  // reported. Clicks sent elsewhere by a routing rule are not counted.
+  summarizeVariants(urlEntry, clicks) {
+    const variants = urlEntry.variants || [];
+    const counts = new Map(variants.map(variant => [variant.id, 0]));
+    clicks.forEach(click => {
+      if (click.variant && counts.has(click.variant.id)) {
+        counts.set(click.variant.id, counts.get(click.variant.id) + 1);
+      }
+    });
+
+    const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+    const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+    return variants.map(variant => ({
+      id: variant.id,
+      name: variant.name,
+      url: variant.url,
+      weight: variant.weight,
+      expectedShare: Math.round((variant.weight / totalWeight) * 1000) / 10,
+      clicks: counts.get(variant.id),
+      share: total > 0 ? Math.round((counts.get(variant.id) / total) * 1000) / 10 : 0
+    }));
+  }
+
+  getURLStatistics(key, owner = null, options = {}) {
     try {
-      const urlEntry = this.getURLByShortcode(shortcode);
+      const urlEntry = this.findOwnedURL(key, owner);
       if (!urlEntry) return null;
 
+      const includeBots = !!options.includeBots;
+      const botClicks = urlEntry.botClicks || 0;
+      const clicks = this.formatClicks(urlEntry.clicks, includeBots);
+
       return {
-        shortLink: `http://localhost:5000/${shortcode}`,
-        originalURL: urlEntry.originalURL,
-        createdAt: urlEntry.createdAt,
-        expiryTime: urlEntry.expiryTime,
-        totalClicks: urlEntry.totalClicks,
-        clicks: urlEntry.clicks.map(click => ({
-          timestamp: click.timestamp,
-          source: click.referrer,
-          location: click.location
-        }))
+        ...this.formatEntry(urlEntry),
+        totalClicks: includeBots ? urlEntry.totalClicks + botClicks : urlEntry.totalClicks,
+        botClicks,
+        includeBots,
+        variantStats: this.summarizeVariants(urlEntry, clicks),
+        clicks
       };
     } catch (error) {
       logError('Error getting URL statistics', error);
@@ -160,25 +975,643 @@ class URLService {
     }
   }
 
-  getAllURLs() {
+  getURLAnalytics(key, options = {}, owner = null) {
     try {
-      return Array.from(urlStore.values()).map(urlEntry => ({
-        shortLink: `http://localhost:5000/${urlEntry.shortcode}`,
-        originalURL: urlEntry.originalURL,
-        createdAt: urlEntry.createdAt,
-        expiryTime: urlEntry.expiryTime,
-        totalClicks: urlEntry.totalClicks,
-        clicks: urlEntry.clicks.map(click => ({
-          timestamp: click.timestamp,
-          source: click.referrer,
-          location: click.location
-        }))
+      const urlEntry = this.findOwnedURL(key, owner);
+      if (!urlEntry) return null;
+
+      const interval = options.interval || 'day';
+      if (!INTERVALS[interval]) {
+        throw new ValidationError('INVALID_INTERVAL', `Invalid interval: must be one of ${Object.keys(INTERVALS).join(', ')}`, { field: 'interval' });
+      }
+
+      const from = options.from ? moment(options.from, moment.ISO_8601, true) : moment(urlEntry.createdAt);
+      const to = options.to ? moment(options.to, moment.ISO_8601, true) : moment();
+      if (!from.isValid() || !to.isValid()) {
+        throw new ValidationError('INVALID_DATE_RANGE', 'Invalid date range: from and to must be ISO 8601 dates');
+      }
+      if (from.isAfter(to)) {
+        throw new ValidationError('INVALID_DATE_RANGE', 'Invalid date range: from must be before to', { field: 'from' });
+      }
+
+      return {
+        shortLink: this.buildShortLink(urlEntry.shortcode, urlEntry.domain),
+        shortcode: urlEntry.shortcode,
+        domain: urlEntry.domain || null,
+        ...aggregateClicks(urlEntry.clicks, { from, to, interval, includeBots: !!options.includeBots })
+      };
+    } catch (error) {
+      logError('Error getting URL analytics', error);
+      throw error;
+    }
+  }
+
+  getURLSummary(options = {}, owner = null) {
+    try {
+      const from = options.from ? moment(options.from, moment.ISO_8601, true) : null;
+      const to = options.to ? moment(options.to, moment.ISO_8601, true) : moment();
+      if ((from && !from.isValid()) || !to.isValid()) {
+        throw new ValidationError('INVALID_DATE_RANGE', 'Invalid date range: from and to must be ISO 8601 dates');
+      }
+      if (from && from.isAfter(to)) {
+        throw new ValidationError('INVALID_DATE_RANGE', 'Invalid date range: from must be before to', { field: 'from' });
+      }
+
+      const now = moment();
+      const visitors = new Set();
+      const summary = {
+        totalLinks: 0,
+        activeLinks: 0,
+        scheduledLinks: 0,
+        exhaustedLinks: 0,
+        expiredLinks: 0,
+        disabledLinks: 0,
+        archivedLinks: 0,
+        totalClicks: 0,
+        botClicks: 0,
+        clicksInRange: 0,
+        uniqueVisitors: 0
+      };
+
+      this.store.list().filter(urlEntry => this.isOwnedBy(urlEntry, owner)).forEach(urlEntry => {
+        summary.totalLinks++;
+
+        summary[`${this.getLinkStatus(urlEntry, now)}Links`]++;
+
+        summary.totalClicks += urlEntry.totalClicks;
+        summary.botClicks += urlEntry.botClicks || 0;
+        summary.clicksInRange += from ? countClicksInRange(urlEntry.clicks, from, to) : urlEntry.totalClicks;
+        urlEntry.clicks.forEach(click => {
+          if (!click.isBot) visitors.add(visitorIdOf(click));
+        });
+      });
+
+      summary.archivedLinks = this.store.listArchived().filter(urlEntry => this.isOwnedBy(urlEntry, owner)).length;
+      summary.uniqueVisitors = visitors.size;
+
+      return summary;
+    } catch (error) {
+      logError('Error getting URL summary', error);
+      throw error;
+    }
+  }
+
+  countDomainLinks(hostname) {
+    return [...this.store.list(), ...this.store.listArchived()].filter(urlEntry => urlEntry.domain === hostname).length;
+  }
+
+  parseListQuery(options = {}) {
+    const details = [];
+    const toInteger = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+    const page = toInteger(options.page, 1);
+    if (!Number.isInteger(page) || page < 1) {
+      details.push(fieldError('page', 'INVALID_PAGE', 'Page must be a positive integer'));
+    }
+
+    const pageSize = toInteger(options.pageSize, DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      details.push(fieldError('pageSize', 'INVALID_PAGE_SIZE', `Page size must be between 1 and ${MAX_PAGE_SIZE}`));
+    }
+
+    const sort = options.sort || 'created';
+    if (!LINK_SORTS.includes(sort)) {
+      details.push(fieldError('sort', 'INVALID_SORT', `Sort must be one of ${LINK_SORTS.join(', ')}`));
+    }
+
+    const order = options.order || 'desc';
+    if (order !== 'asc' && order !== 'desc') {
+      details.push(fieldError('order', 'INVALID_ORDER', 'Order must be asc or desc'));
+    }
+
+    const status = options.status && options.status !== 'all' ? options.status : null;
+    if (status && !LINK_STATUSES.includes(status)) {
+      details.push(fieldError('status', 'INVALID_STATUS_FILTER', `Status must be all or one of ${LINK_STATUSES.join(', ')}`));
+    }
+
+    if (details.length > 0) {
+      throw ValidationError.fromDetails(details);
+    }
+
+    return {
+      page,
+      pageSize,
+      sort,
+      order,
+      status,
+      search: typeof options.q === 'string' ? options.q.trim().toLowerCase() : '',
+      tags: typeof options.tags === 'string'
+        ? options.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+        : [],
+      folder: typeof options.folder === 'string' && options.folder.trim() ? options.folder.trim() : null,
+      includeBots: !!options.includeBots
+    };
+  }
+
+  matchesListQuery(urlEntry, query, now) {
+    if (query.status && this.getLinkStatus(urlEntry, now) !== query.status) return false;
+    if (query.folder && urlEntry.folder !== query.folder) return false;
+
+    const tags = urlEntry.tags || [];
+    if (!query.tags.every(tag => tags.includes(tag))) return false;
+
+    if (!query.search) return true;
+    return [urlEntry.shortcode, urlEntry.originalURL, urlEntry.title, ...tags]
+      .some(value => value && value.toLowerCase().includes(query.search));
+  }
+
+  // One page of an owner's links. Search covers shortcode, destination,
+  // title and tags; a tag filter keeps links carrying every listed tag.
+  // The owner's full tag and folder lists come along for filter pickers.
+  getAllURLs(owner = null, options = {}) {
+    try {
+      const query = this.parseListQuery(options);
+      const now = moment();
+      const owned = this.store.list().filter(urlEntry => this.isOwnedBy(urlEntry, owner));
+      const countClicks = (urlEntry) =>
+        (query.includeBots ? urlEntry.totalClicks + (urlEntry.botClicks || 0) : urlEntry.totalClicks);
+
+      const sortValue = {
+        created: urlEntry => moment(urlEntry.createdAt).valueOf(),
+        expiry: urlEntry => moment(urlEntry.expiryTime).valueOf(),
+        clicks: countClicks
+      }[query.sort];
+      const direction = query.order === 'asc' ? 1 : -1;
+
+      const matches = owned
+        .filter(urlEntry => this.matchesListQuery(urlEntry, query, now))
+        .sort((a, b) => (sortValue(a) - sortValue(b)) * direction || b.createdAt.localeCompare(a.createdAt));
+
+      const start = (query.page - 1) * query.pageSize;
+      // Click histories stay out of the listing; a link's statistics
+      // return them one link at a time.
+      const items = matches.slice(start, start + query.pageSize).map(urlEntry => ({
+        ...this.formatEntry(urlEntry),
+        totalClicks: countClicks(urlEntry),
+        botClicks: urlEntry.botClicks || 0,
+        variantStats: this.summarizeVariants(urlEntry, this.formatClicks(urlEntry.clicks, query.includeBots))
       }));
+
+      return {
+        items,
+        page: query.page,
+        pageSize: query.pageSize,
+        total: matches.length,
+        totalPages: Math.max(1, Math.ceil(matches.length / query.pageSize)),
+        tags: [...new Set(owned.flatMap(urlEntry => urlEntry.tags || []))].sort(),
+        folders: [...new Set(owned.map(urlEntry => urlEntry.folder).filter(Boolean))].sort()
+      };
     } catch (error) {
       logError('Error getting all URLs', error);
       throw error;
     }
   }
+
+  // Validates up front and hands back a lazy iterable, so a bad request is
+  // rejected before the response starts streaming. Takes the same filters
+  // as getAllURLs; links come out oldest first.
+  exportRecords(owner = null, options = {}) {
+    try {
+      const type = options.type || 'links';
+      if (!EXPORT_TYPES.includes(type)) {
+        throw new ValidationError('INVALID_EXPORT_TYPE', `Export type must be one of ${EXPORT_TYPES.join(', ')}`, { field: 'type' });
+      }
+
+      const query = this.parseListQuery(options);
+      const now = moment();
+      const entries = this.store.list()
+        .filter(urlEntry => this.isOwnedBy(urlEntry, owner) && this.matchesListQuery(urlEntry, query, now))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      logInfo('Exporting links', { owner, type, links: entries.length });
+
+      return type === 'links'
+        ? this.linkRecords(entries, !!options.includeClicks)
+        : this.clickRecords(entries, query.includeBots);
+    } catch (error) {
+      logError('Error exporting links', error);
+      throw error;
+    }
+  }
+
+  // Backups embed the raw click history, bots included, minus visitor IPs.
+  *linkRecords(entries, includeClicks) {
+    for (const urlEntry of entries) {
+      const record = { ...this.formatEntry(urlEntry), botClicks: urlEntry.botClicks || 0, generator: urlEntry.generator || null };
+      if (includeClicks) {
+        record.clicks = urlEntry.clicks.map(({ ip, ...click }) => click);
+      }
+      yield record;
+    }
+  }
+
+  *clickRecords(entries, includeBots) {
+    for (const urlEntry of entries) {
+      for (const click of this.formatClicks(urlEntry.clicks, includeBots)) {
+        yield { shortcode: urlEntry.shortcode, domain: urlEntry.domain || null, ...click };
+      }
+    }
+  }
+
+  // Restores rows from a links export. Each row is validated like a new
+  // link but keeps its own dates and, from NDJSON backups, its clicks.
+  // Returns one outcome per row; a bad row never stops the rest.
+  importLinks(rows, owner = null, options = {}) {
+    try {
+      const onConflict = options.onConflict || 'skip';
+      if (!IMPORT_CONFLICT_POLICIES.includes(onConflict)) {
+        throw new ValidationError('INVALID_CONFLICT_POLICY', `onConflict must be one of ${IMPORT_CONFLICT_POLICIES.join(', ')}`, {
+          field: 'onConflict'
+        });
+      }
+
+      logInfo('Importing links', { owner, rows: rows.length, onConflict });
+
+      return rows.map(({ line, record }) => {
+        try {
+          return { line, ...this.importLink(record, owner, onConflict) };
+        } catch (error) {
+          return { line, shortcode: record && record.shortcode, error };
+        }
+      });
+    } catch (error) {
+      logError('Error importing links', error);
+      throw error;
+    }
+  }
+
+  parseImportTime(value, field, details, fallback = null) {
+    if (value == null || value === '') {
+      return fallback;
+    }
+
+    const time = moment(value, moment.ISO_8601, true);
+    if (typeof value !== 'string' || !time.isValid()) {
+      details.push(fieldError(field, 'INVALID_DATE', `${field} must be a valid ISO 8601 date`));
+      return null;
+    }
+    return time.toISOString();
+  }
+
+  // Generated codes may use any URL-safe character, so only links that were
+  // given a custom shortcode are held to the vanity pattern.
+  validateImportedShortcode(shortcode, generator) {
+    if (generator === 'custom') {
+      return this.validateShortcode(shortcode);
+    }
+    return typeof shortcode === 'string' &&
+      shortcode.length >= SHORTCODE_LENGTH.min &&
+      shortcode.length <= SHORTCODE_LENGTH.max &&
+      /^[A-Za-z0-9_-]+$/.test(shortcode);
+  }
+
+  // Exports never carry password hashes, so a protected link comes back
+  // disabled rather than silently open to everyone.
+  importLink(record, owner, onConflict) {
+    if (!record) {
+      throw new ValidationError('INVALID_IMPORT_ROW', 'Row is not a valid link record');
+    }
+
+    const details = [];
+    const domain = this.resolveDomain(record.domain);
+    const redirectType = record.redirectType == null ? DEFAULT_REDIRECT_TYPE : record.redirectType;
+
+    if (record.domain && !domain) {
+      details.push(fieldError('domain', 'UNKNOWN_DOMAIN', 'Domain is not registered on this server'));
+    }
+
+    if (!this.validateURL(record.originalURL)) {
+      details.push(fieldError('originalURL', 'INVALID_URL', 'Invalid URL format'));
+    }
+
+    if (!record.shortcode || !this.validateImportedShortcode(record.shortcode, record.generator)) {
+      details.push(fieldError('shortcode', 'INVALID_SHORTCODE', SHORTCODE_RULE));
+    } else if (this.isReservedShortcode(record.shortcode)) {
+      details.push(fieldError('shortcode', 'SHORTCODE_RESERVED', `"${record.shortcode}" is reserved and cannot be used as a shortcode`));
+    }
+
+    if (!this.validateRedirectType(redirectType)) {
+      details.push(fieldError('redirectType', 'INVALID_REDIRECT_TYPE', `Redirect type must be one of ${REDIRECT_TYPES.join(', ')}`));
+    }
+
+    if (record.maxClicks != null && !this.validateMaxClicks(record.maxClicks)) {
+      details.push(fieldError('maxClicks', 'INVALID_MAX_CLICKS', 'Max clicks must be a positive integer'));
+    }
+
+    if (record.title != null && (typeof record.title !== 'string' || record.title.length > MAX_TITLE_LENGTH)) {
+      details.push(fieldError('title', 'INVALID_TITLE', `Title must be text of at most ${MAX_TITLE_LENGTH} characters`));
+    }
+
+    const tags = record.tags == null ? [] : this.normalizeTags(record.tags);
+    if (!tags) {
+      details.push(fieldError('tags', 'INVALID_TAGS', `Tags must be a list of at most ${MAX_TAGS} labels of 1-${MAX_TAG_LENGTH} characters without commas`));
+    }
+
+    if (record.folder != null && !this.validateFolder(record.folder)) {
+      details.push(fieldError('folder', 'INVALID_FOLDER', `Folder must be a name of 1-${MAX_FOLDER_LENGTH} characters`));
+    }
+
+    ['active', 'forwardQuery', 'stickyVariants'].forEach(field => {
+      if (record[field] != null && typeof record[field] !== 'boolean') {
+        details.push(fieldError(field, 'INVALID_BOOLEAN', `${field} must be true or false`));
+      }
+    });
+
+    const rules = record.rules == null ? [] : normalizeRules(record.rules, details);
+    const variants = record.variants == null ? [] : normalizeVariants(record.variants, details);
+    // Hand-made files may leave the dates out; such links start now with
+    // the default validity.
+    const now = moment();
+    const createdAt = this.parseImportTime(record.createdAt, 'createdAt', details, now.toISOString());
+    const expiryTime = this.parseImportTime(record.expiryTime, 'expiryTime', details,
+      now.clone().add(DEFAULT_VALIDITY_MINUTES, 'minutes').toISOString());
+    const notBefore = this.parseImportTime(record.notBefore, 'notBefore', details);
+
+    const clicks = record.clicks == null ? null : record.clicks;
+    if (clicks !== null && (!Array.isArray(clicks) || clicks.some(click => !click || !moment(click.timestamp, moment.ISO_8601, true).isValid()))) {
+      details.push(fieldError('clicks', 'INVALID_CLICKS', 'Clicks must be a list of recorded visits with timestamps'));
+    }
+
+    ['totalClicks', 'botClicks'].forEach(field => {
+      if (record[field] != null && (!Number.isInteger(record[field]) || record[field] < 0)) {
+        details.push(fieldError(field, 'INVALID_CLICK_COUNT', `${field} must be a whole number of zero or more`));
+      }
+    });
+
+    if (details.length > 0) {
+      throw ValidationError.fromDetails(details);
+    }
+
+    this.screenURL(record.originalURL);
+    rules.forEach(rule => this.screenURL(rule.url));
+    variants.forEach(variant => this.screenURL(variant.url));
+
+    let shortcode = record.shortcode;
+    let outcome = 'created';
+    const key = this.keyFor(shortcode, domain);
+    const existing = this.store.findByShortcode(key);
+
+    if (this.store.hasShortcode(key)) {
+      if (onConflict === 'skip') {
+        return { outcome: 'skipped', shortcode, domain };
+      }
+
+      if (onConflict === 'overwrite') {
+        if (!existing || !this.isOwnedBy(existing, owner)) {
+          throw new ConflictError('SHORTCODE_TAKEN', 'Shortcode is held by a link that cannot be overwritten', { field: 'shortcode' });
+        }
+        outcome = 'overwritten';
+      } else {
+        shortcode = this.suggestShortcodes(shortcode, domain, 1)[0] || this.generateShortcode(domain);
+        outcome = 'renamed';
+      }
+    }
+
+    const history = clicks !== null
+      ? clicks.map(({ ip, ...click }) => click).sort((a, b) => moment(a.timestamp).valueOf() - moment(b.timestamp).valueOf())
+      : outcome === 'overwritten' ? existing.clicks : [];
+    // Without a click history (CSV, or a backup taken without clicks) the
+    // exported counters are all there is; the cap keeps a used-up link
+    // exhausted after the restore.
+    const counted = {
+      totalClicks: history.filter(click => !click.isBot).length,
+      botClicks: history.filter(click => click.isBot).length
+    };
+    const counters = clicks !== null ? counted : {
+      totalClicks: record.totalClicks == null ? counted.totalClicks : record.totalClicks,
+      botClicks: record.botClicks == null ? counted.botClicks : record.botClicks
+    };
+    const maxClicks = record.maxClicks || null;
+
+    const urlEntry = {
+      id: nanoid(),
+      originalURL: record.originalURL,
+      shortcode,
+      generator: 'import',
+      domain,
+      title: record.title ? record.title.trim() : null,
+      tags,
+      folder: record.folder ? record.folder.trim() : null,
+      owner,
+      createdAt,
+      expiryTime,
+      notBefore,
+      maxClicks,
+      forwardQuery: !!record.forwardQuery,
+      rules,
+      variants,
+      stickyVariants: !!record.stickyVariants,
+      active: record.active !== false && !record.protected,
+      redirectType,
+      passwordHash: null,
+      clicks: history,
+      totalClicks: maxClicks ? Math.min(counters.totalClicks, maxClicks) : counters.totalClicks,
+      botClicks: counters.botClicks
+    };
+
+    if (outcome === 'overwritten') {
+      this.store.remove(key);
+    }
+    this.store.create(urlEntry);
+
+    return {
+      outcome,
+      shortcode,
+      domain,
+      ...(outcome === 'renamed' ? { originalShortcode: record.shortcode } : {}),
+      ...(record.protected ? { warning: 'Password protection is not exported; the link was imported disabled' } : {})
+    };
+  }
+
+  // Sends expiring/expired notifications, moves links that have been expired
+  // for longer than the grace period into the archive, frees archived
+  // shortcodes according to the reuse policy and drops click records older
+  // than the retention window.
+  sweep(now = moment()) {
+    try {
+      const { archiveGraceMinutes, shortcodeReuse, shortcodeCooldownDays, clickRetentionDays } = this.lifecycle;
+      const result = { expiring: 0, expired: 0, archived: 0, releasedShortcodes: 0, purgedClicks: 0 };
+
+      const expiringBefore = now.clone().add(this.expiringWindowMinutes, 'minutes');
+      this.store.list().forEach(urlEntry => {
+        const key = this.keyFor(urlEntry.shortcode, urlEntry.domain);
+        const expiry = moment(urlEntry.expiryTime);
+
+        if (!expiry.isAfter(now)) {
+          if (!urlEntry.expiredNotifiedAt) {
+            this.store.update(key, { expiredNotifiedAt: now.toISOString() });
+            this.notify('link.expired', urlEntry);
+            result.expired++;
+          }
+        } else if (expiry.isBefore(expiringBefore) && !urlEntry.expiringNotifiedAt) {
+          this.store.update(key, { expiringNotifiedAt: now.toISOString() });
+          this.notify('link.expiring', urlEntry, { expiresInMinutes: Math.ceil(expiry.diff(now, 'minutes', true)) });
+          result.expiring++;
+        }
+      });
+
+      const archiveBefore = now.clone().subtract(archiveGraceMinutes, 'minutes');
+      this.store.list().forEach(urlEntry => {
+        if (moment(urlEntry.expiryTime).isBefore(archiveBefore)) {
+          this.store.archive(this.keyFor(urlEntry.shortcode, urlEntry.domain), now.toISOString());
+          result.archived++;
+        }
+      });
+
+      if (shortcodeReuse !== 'never') {
+        const releaseBefore = shortcodeReuse === 'cooldown' ? now.clone().subtract(shortcodeCooldownDays, 'days') : now;
+        this.store.listArchived().forEach(urlEntry => {
+          if (!urlEntry.shortcodeReleased && !moment(urlEntry.archivedAt).isAfter(releaseBefore)) {
+            if (this.store.releaseShortcode(this.keyFor(urlEntry.shortcode, urlEntry.domain))) {
+              result.releasedShortcodes++;
+            }
+          }
+        });
+      }
+
+      const purgeBefore = now.clone().subtract(clickRetentionDays, 'days').toISOString();
+      [...this.store.list(), ...this.store.listArchived()].forEach(urlEntry => {
+        if (urlEntry.clicks.length > 0 && urlEntry.clicks[0].timestamp < purgeBefore) {
+          result.purgedClicks += this.store.purgeClicks(urlEntry.id, purgeBefore);
+        }
+      });
+
+      if (Object.values(result).some(count => count > 0)) {
+        logInfo('Expiry sweep completed', result);
+      }
+
+      return result;
+    } catch (error) {
+      logError('Error sweeping expired URLs', error);
+      throw error;
+    }
+  }
+
+  startSweeper() {
+    if (this.sweepTimer) return;
+
+    const run = () => {
+      try {
+        this.sweep();
+      } catch (error) {
+        // Already logged by sweep; the next tick retries.
+      }
+    };
+
+    run();
+    this.sweepTimer = setInterval(run, this.lifecycle.sweepIntervalSeconds * 1000);
+    this.sweepTimer.unref();
+
+    logInfo('Expiry sweeper started', this.lifecycle);
+  }
+
+  stopSweeper() {
+    if (!this.sweepTimer) return;
+
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  formatArchivedEntry(urlEntry) {
+    return {
+      id: urlEntry.id,
+      shortcode: urlEntry.shortcode,
+      domain: urlEntry.domain || null,
+      originalURL: urlEntry.originalURL,
+      owner: urlEntry.owner,
+      createdAt: urlEntry.createdAt,
+      expiryTime: urlEntry.expiryTime,
+      archivedAt: urlEntry.archivedAt,
+      shortcodeReleased: !!urlEntry.shortcodeReleased,
+      shortcodeAvailable: !urlEntry.shortcodeReleased || !this.store.hasShortcode(this.keyFor(urlEntry.shortcode, urlEntry.domain)),
+      totalClicks: urlEntry.totalClicks,
+      botClicks: urlEntry.botClicks || 0
+    };
+  }
+
+  getArchivedURLs(owner = null) {
+    try {
+      return this.store.listArchived()
+        .filter(urlEntry => this.isOwnedBy(urlEntry, owner))
+        .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt))
+        .map(urlEntry => this.formatArchivedEntry(urlEntry));
+    } catch (error) {
+      logError('Error getting archived URLs', error);
+      throw error;
+    }
+  }
+
+  restoreURL(id, changes = {}) {
+    try {
+      logInfo('Restoring archived URL', { id, shortcode: changes.shortcode });
+
+      const urlEntry = this.store.findArchived(id);
+      if (!urlEntry) {
+        throw new NotFoundError('ARCHIVED_LINK_NOT_FOUND', 'Archived URL not found');
+      }
+
+      const shortcode = changes.shortcode || urlEntry.shortcode;
+      if (changes.shortcode && !this.validateShortcode(changes.shortcode)) {
+        throw new ValidationError('INVALID_SHORTCODE', SHORTCODE_RULE, { field: 'shortcode' });
+      }
+      if (changes.shortcode && this.isReservedShortcode(changes.shortcode)) {
+        throw new ValidationError('SHORTCODE_RESERVED', `"${changes.shortcode}" is reserved and cannot be used as a shortcode`, { field: 'shortcode' });
+      }
+
+      const ownReservation = shortcode === urlEntry.shortcode && !urlEntry.shortcodeReleased;
+      if (!ownReservation && this.store.hasShortcode(this.keyFor(shortcode, urlEntry.domain))) {
+        throw new ConflictError('SHORTCODE_TAKEN', 'Custom shortcode already exists', { field: 'shortcode' });
+      }
+
+      if (changes.validity !== undefined && changes.expiryTime !== undefined) {
+        throw new ValidationError('CONFLICTING_EXPIRY', 'Provide either validity or expiryTime, not both', { field: 'expiryTime' });
+      }
+
+      let expiryTime;
+      if (changes.expiryTime !== undefined) {
+        expiryTime = this.parseTime(changes.expiryTime, 'Expiry time', 'expiryTime');
+        if (!expiryTime.isAfter(moment())) {
+          throw new ValidationError('EXPIRY_IN_PAST', 'Expiry time must be in the future', { field: 'expiryTime' });
+        }
+      } else {
+        const validity = changes.validity === undefined ? DEFAULT_VALIDITY_MINUTES : changes.validity;
+        if (!Number.isInteger(validity) || validity <= 0) {
+          throw new ValidationError('INVALID_VALIDITY', 'Validity must be a positive integer', { field: 'validity' });
+        }
+        expiryTime = moment().add(validity, 'minutes');
+      }
+
+      const restored = this.store.restore(id, {
+        shortcode,
+        expiryTime: expiryTime.toISOString(),
+        expiringNotifiedAt: null,
+        expiredNotifiedAt: null
+      });
+
+      return this.formatEntry(restored);
+    } catch (error) {
+      logError('Error restoring archived URL', error);
+      throw error;
+    }
+  }
 }
 
-module.exports = new URLService(); 
\ No newline at end of file
+module.exports = new URLService(createStore(config.storage.type, {
+  ...config.storage,
+  caseInsensitive: config.shortcodes.caseInsensitive
+}), {
+  baseURL: config.publicBaseUrl,
+  pathPrefix: config.pathPrefix,
+  geoip: new GeoIPLookup(config.geoip.dbPath),
+  visitorHashSecret: config.analytics.visitorHashSecret,
+  lifecycle: config.lifecycle,
+  shortcodes: config.shortcodes,
+  domains: domainService,
+  webhooks: webhookService,
+  expiringWindowMinutes: config.webhooks.expiringWindowMinutes,
+  screener: new URLScreener({
+    ...config.screening,
+    ownHosts: [new URL(config.publicBaseUrl).host]
+  })
+});
+module.exports.URLService = URLService; 
\ No newline at end of file
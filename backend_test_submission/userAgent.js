@@ -0,0 +1,90 @@
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\/[\d.]+/ },
+  { name: 'Opera', pattern: /OPR\/[\d.]+|Opera/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/[\d.]+/ },
+  { name: 'Chrome', pattern: /(Chrome|CriOS)\/[\d.]+/ },
+  { name: 'Firefox', pattern: /(Firefox|FxiOS)\/[\d.]+/ },
+  { name: 'Safari', pattern: /Version\/[\d.]+.*Safari/ },
+  { name: 'Internet Explorer', pattern: /MSIE |Trident\// }
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'Windows', pattern: /Windows NT|Windows Phone|Win64|Win32/ },
+  { name: 'iOS', pattern: /iPhone|iPad|iPod/ },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/ },
+  { name: 'Android', pattern: /Android/ },
+  { name: 'ChromeOS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux|X11/ }
+];
+
+// Order matters: link unfurlers and probes often also contain "bot", so the
+// specific lists are checked before the generic crawler pattern.
+const BOTS = [
+  { type: 'preview', name: 'Slack', pattern: /Slackbot|Slack-ImgProxy/i },
+  { type: 'preview', name: 'Twitter', pattern: /Twitterbot/i },
+  { type: 'preview', name: 'Facebook', pattern: /facebookexternalhit|Facebot|meta-externalagent/i },
+  { type: 'preview', name: 'WhatsApp', pattern: /WhatsApp/i },
+  { type: 'preview', name: 'Telegram', pattern: /TelegramBot/i },
+  { type: 'preview', name: 'Discord', pattern: /Discordbot/i },
+  { type: 'preview', name: 'LinkedIn', pattern: /LinkedInBot/i },
+  { type: 'preview', name: 'Skype', pattern: /SkypeUriPreview/i },
+  { type: 'preview', name: 'Embedly', pattern: /Embedly/i },
+  { type: 'preview', name: 'Pinterest', pattern: /Pinterest(bot)?/i },
+  { type: 'preview', name: 'Reddit', pattern: /redditbot/i },
+  { type: 'monitor', name: 'UptimeRobot', pattern: /UptimeRobot/i },
+  { type: 'monitor', name: 'Pingdom', pattern: /Pingdom/i },
+  { type: 'monitor', name: 'StatusCake', pattern: /StatusCake/i },
+  { type: 'monitor', name: 'Site24x7', pattern: /Site24x7/i },
+  { type: 'monitor', name: 'Datadog', pattern: /Datadog/i },
+  { type: 'monitor', name: 'New Relic', pattern: /NewRelicPinger/i },
+  { type: 'monitor', name: 'Better Uptime', pattern: /Better ?Uptime/i },
+  { type: 'monitor', name: 'Kubernetes', pattern: /kube-probe/i },
+  { type: 'monitor', name: 'Load balancer', pattern: /ELB-HealthChecker|GoogleHC/i },
+  { type: 'crawler', name: 'Google', pattern: /Googlebot|AdsBot-Google|Mediapartners-Google|Google-InspectionTool/i },
+  { type: 'crawler', name: 'Bing', pattern: /bingbot|BingPreview/i },
+  { type: 'crawler', name: 'DuckDuckGo', pattern: /DuckDuckBot/i },
+  { type: 'crawler', name: 'Baidu', pattern: /Baiduspider/i },
+  { type: 'crawler', name: 'Yandex', pattern: /YandexBot/i },
+  { type: 'crawler', name: 'Apple', pattern: /Applebot/i },
+  { type: 'crawler', name: 'Ahrefs', pattern: /AhrefsBot/i },
+  { type: 'crawler', name: 'Semrush', pattern: /SemrushBot/i },
+  { type: 'crawler', name: 'OpenAI', pattern: /GPTBot|ChatGPT-User|OAI-SearchBot/i },
+  { type: 'crawler', name: 'Common Crawl', pattern: /CCBot/i },
+  { type: 'script', name: 'HTTP client', pattern: /^(curl|Wget|python-requests|python-urllib|Go-http-client|axios|node-fetch|okhttp|Java|libwww-perl|PostmanRuntime|HTTPie)/i },
+  { type: 'crawler', name: 'Other crawler', pattern: /bot\b|crawler|spider|crawling|slurp|preview|fetcher|headless/i }
+];
+
+const getDeviceType = (userAgent) => {
+  if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobile)/i.test(userAgent)) return 'tablet';
+  if (/Mobi|iPhone|iPod|Android.*Mobile|Windows Phone/i.test(userAgent)) return 'mobile';
+  return 'desktop';
+};
+
+const detectBot = (userAgent) => {
+  const bot = BOTS.find(candidate => candidate.pattern.test(userAgent));
+  return bot ? { type: bot.type, name: bot.name } : null;
+};
+
+const parseUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return { browser: 'Unknown', os: 'Unknown', device: 'unknown', isBot: false, botType: null, botName: null };
+  }
+
+  const bot = detectBot(userAgent);
+  const browser = BROWSERS.find(candidate => candidate.pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(candidate => candidate.pattern.test(userAgent));
+
+  return {
+    browser: browser ? browser.name : 'Other',
+    os: os ? os.name : 'Other',
+    device: bot ? 'bot' : getDeviceType(userAgent),
+    isBot: !!bot,
+    botType: bot ? bot.type : null,
+    botName: bot ? bot.name : null
+  };
+};
+
+module.exports = {
+  parseUserAgent,
+  detectBot
+};
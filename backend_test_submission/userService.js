@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const moment = require('moment');
+const { logInfo, logError } = require('../logging_middleware/logger');
+const { createUserStore } = require('./storage');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { ValidationError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError } = require('./errors');
+const config = require('../config');
+
+const API_KEY_PREFIX = 'usk_';
+
+class UserService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.sessionTtlMinutes = options.sessionTtlMinutes || 12 * 60;
+    this.allowRegistration = options.allowRegistration !== false;
+    this.adminUsers = options.adminUsers || [];
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  validateUsername(username) {
+    if (!username || typeof username !== 'string') return false;
+    return /^[a-zA-Z0-9_.-]{3,32}$/.test(username);
+  }
+
+  validatePassword(password) {
+    return typeof password === 'string' && password.length >= 8 && password.length <= 128;
+  }
+
+  isAdmin(user) {
+    return !!user && this.adminUsers.includes(user.username);
+  }
+
+  toPublicUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      admin: this.isAdmin(user),
+      createdAt: user.createdAt
+    };
+  }
+
+  async register(username, password) {
+    try {
+      logInfo('Registering user', { username });
+
+      if (!this.allowRegistration) {
+        throw new ForbiddenError('REGISTRATION_DISABLED', 'Registration is disabled');
+      }
+
+      if (!this.validateUsername(username)) {
+        throw new ValidationError('INVALID_USERNAME', 'Username must be 3-32 characters of letters, digits, ".", "_" or "-"', { field: 'username' });
+      }
+
+      if (!this.validatePassword(password)) {
+        throw new ValidationError('INVALID_PASSWORD', 'Password must be 8-128 characters long', { field: 'password' });
+      }
+
+      // Hashed before the name check, so the check and the insert happen
+      // in one step.
+      const passwordHash = await hashPassword(password);
+
+      if (this.store.findByUsername(username)) {
+        throw new ConflictError('USERNAME_TAKEN', 'Username already exists', { field: 'username' });
+      }
+
+      const user = this.store.create({
+        id: nanoid(),
+        username,
+        passwordHash,
+        apiKeys: [],
+        createdAt: moment().toISOString()
+      });
+
+      return this.createSession(user);
+
+    } catch (error) {
+      logError('Error registering user', error);
+      throw error;
+    }
+  }
+
+  async login(username, password) {
+    try {
+      const user = typeof username === 'string' ? this.store.findByUsername(username) : null;
+
+      if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+        throw new AuthenticationError('INVALID_CREDENTIALS', 'Invalid username or password');
+      }
+
+      logInfo('User logged in', { userId: user.id });
+
+      return this.createSession(user);
+
+    } catch (error) {
+      logError('Error logging in', error, { username });
+      throw error;
+    }
+  }
+
+  // Sessions are kept on the user record as token hashes, like API keys, so
+  // a file-backed user store keeps everyone signed in across restarts.
+  // Expired sessions are dropped whenever the user signs in again.
+  createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = moment();
+    const expiresAt = now.clone().add(this.sessionTtlMinutes, 'minutes');
+    const sessions = (user.sessions || []).filter(session => moment(session.expiresAt).isAfter(now));
+
+    this.store.update(user.id, {
+      sessions: [...sessions, { hash: this.hashToken(token), expiresAt: expiresAt.toISOString() }]
+    });
+
+    return {
+      user: this.toPublicUser(user),
+      token,
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  removeSession(user, tokenHash) {
+    this.store.update(user.id, { sessions: user.sessions.filter(session => session.hash !== tokenHash) });
+  }
+
+  logout(token) {
+    const tokenHash = this.hashToken(token);
+    const user = this.store.findBySessionHash(tokenHash);
+    if (!user) return false;
+
+    this.removeSession(user, tokenHash);
+    return true;
+  }
+
+  authenticateSession(token) {
+    const tokenHash = this.hashToken(token);
+    const user = this.store.findBySessionHash(tokenHash);
+    if (!user) return null;
+
+    const session = user.sessions.find(entry => entry.hash === tokenHash);
+    if (moment().isAfter(session.expiresAt)) {
+      this.removeSession(user, tokenHash);
+      return null;
+    }
+
+    return user;
+  }
+
+  authenticateApiKey(key) {
+    if (!key.startsWith(API_KEY_PREFIX)) return null;
+    return this.store.findByApiKeyHash(this.hashToken(key));
+  }
+
+  authenticate(token) {
+    if (!token || typeof token !== 'string') return null;
+    return this.authenticateApiKey(token) || this.authenticateSession(token);
+  }
+
+  createApiKey(userId, name = 'default') {
+    try {
+      const user = this.store.findById(userId);
+      if (!user) {
+        throw new NotFoundError('USER_NOT_FOUND', 'User not found');
+      }
+
+      if (typeof name !== 'string' || name.trim().length === 0 || name.length > 64) {
+        throw new ValidationError('INVALID_API_KEY_NAME', 'API key name must be 1-64 characters long', { field: 'name' });
+      }
+
+      const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+      const apiKey = {
+        id: nanoid(10),
+        name: name.trim(),
+        prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        hash: this.hashToken(key),
+        createdAt: moment().toISOString()
+      };
+
+      this.store.update(userId, { apiKeys: [...user.apiKeys, apiKey] });
+
+      logInfo('API key created', { userId, keyId: apiKey.id });
+
+      return {
+        id: apiKey.id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        createdAt: apiKey.createdAt,
+        key
+      };
+
+    } catch (error) {
+      logError('Error creating API key', error);
+      throw error;
+    }
+  }
+
+  listApiKeys(userId) {
+    const user = this.store.findById(userId);
+    if (!user) return [];
+
+    return user.apiKeys.map(({ id, name, prefix, createdAt }) => ({ id, name, prefix, createdAt }));
+  }
+
+  revokeApiKey(userId, keyId) {
+    try {
+      const user = this.store.findById(userId);
+      if (!user || !user.apiKeys.some(key => key.id === keyId)) {
+        throw new NotFoundError('API_KEY_NOT_FOUND', 'API key not found');
+      }
+
+      this.store.update(userId, { apiKeys: user.apiKeys.filter(key => key.id !== keyId) });
+
+      logInfo('API key revoked', { userId, keyId });
+
+      return true;
+    } catch (error) {
+      logError('Error revoking API key', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UserService(createUserStore(config.storage.type, config.storage), config.auth);
+module.exports.UserService = UserService;
@@ -0,0 +1,80 @@
+const { nanoid } = require('nanoid');
+const { fieldError } = require('./errors');
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 1000;
+const MAX_NAME_LENGTH = 64;
+
+const isHttpURL = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Validates a full variant list and returns it in stored form, or collects
+// field errors (variants[0].weight, ...) into details and returns null.
+// Unnamed variants are labelled A, B, C... in list order.
+const normalizeVariants = (variants, details) => {
+  if (variants === null) return [];
+
+  if (!Array.isArray(variants) || (variants.length > 0 && variants.length < MIN_VARIANTS) || variants.length > MAX_VARIANTS) {
+    details.push(fieldError('variants', 'INVALID_VARIANTS', `Variants must be a list of ${MIN_VARIANTS}-${MAX_VARIANTS} destinations`));
+    return null;
+  }
+
+  const before = details.length;
+  const normalized = variants.map((variant, index) => {
+    const field = `variants[${index}]`;
+    if (!variant || typeof variant !== 'object') {
+      details.push(fieldError(field, 'INVALID_VARIANT', 'Each variant must be an object with a url and a weight'));
+      return null;
+    }
+
+    if (!isHttpURL(variant.url)) {
+      details.push(fieldError(`${field}.url`, 'INVALID_VARIANT_URL', 'Variant URL must be a valid http:// or https:// address'));
+    }
+
+    const weight = variant.weight === undefined ? 1 : variant.weight;
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+      details.push(fieldError(`${field}.weight`, 'INVALID_VARIANT_WEIGHT', `Weight must be a whole number from 1 to ${MAX_WEIGHT}`));
+    }
+
+    if (variant.name != null && (typeof variant.name !== 'string' || variant.name.length > MAX_NAME_LENGTH)) {
+      details.push(fieldError(`${field}.name`, 'INVALID_VARIANT_NAME', `Variant name must be text of at most ${MAX_NAME_LENGTH} characters`));
+    }
+
+    return {
+      id: typeof variant.id === 'string' && variant.id ? variant.id : nanoid(8),
+      name: variant.name ? variant.name.trim() : String.fromCharCode(65 + index),
+      url: variant.url,
+      weight
+    };
+  });
+
+  return details.length > before ? null : normalized;
+};
+
+// Weighted pick: a variant with weight 3 is chosen three times as often as
+// one with weight 1.
+const pickVariant = (variants, random = Math.random) => {
+  if (!variants || variants.length === 0) return null;
+
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let point = random() * total;
+
+  return variants.find(variant => {
+    point -= variant.weight;
+    return point < 0;
+  }) || variants[variants.length - 1];
+};
+
+module.exports = {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  normalizeVariants,
+  pickVariant
+};
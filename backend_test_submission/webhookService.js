@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { nanoid } = require('nanoid');
+const moment = require('moment');
+const { logInfo, logError, logWarn } = require('../logging_middleware/logger');
+const { createWebhookStore } = require('./storage');
+const { URLScreener } = require('./urlScreener');
+const { ValidationError, NotFoundError, fieldError } = require('./errors');
+const config = require('../config');
+
+const WEBHOOK_EVENTS = ['link.created', 'link.clicked', 'link.expiring', 'link.expired'];
+const SECRET_PREFIX = 'whsec_';
+const MAX_SUBSCRIPTIONS_PER_OWNER = 20;
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 5000,
+  maxAttempts: 8,
+  retryBaseSeconds: 30,
+  retryMaxSeconds: 60 * 60,
+  pollIntervalSeconds: 5,
+  allowPrivateTargets: false
+};
+
+// Receivers verify a delivery by recomputing the HMAC over
+// "<timestamp>.<raw body>" with their subscription secret.
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+class WebhookService {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.screener = new URLScreener({ blockPrivateTargets: true, shortenerDomains: [] });
+    this.pollTimer = null;
+    this.processing = false;
+  }
+
+  validateTarget(url, details) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      details.push(fieldError('url', 'INVALID_WEBHOOK_URL', 'Webhook URL must be a valid http:// or https:// address'));
+    } else if (!this.options.allowPrivateTargets && this.screener.isPrivateHost(parsed.hostname.replace(/^\[|\]$/g, ''))) {
+      details.push(fieldError('url', 'WEBHOOK_TARGET_PRIVATE', 'Webhook URL points to a private or local address'));
+    }
+  }
+
+  // validateTarget only sees the hostname, so the address it resolves to is
+  // checked again when connecting; a name that points (or is re-pointed) at
+  // a private address fails the attempt instead of reaching it.
+  lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some(entry => this.screener.isPrivateHost(entry.address))) {
+        return callback(new Error(`${hostname} resolves to a private or local address`));
+      }
+      callback(null, address, family);
+    });
+  }
+
+  toPublicSubscription(subscription) {
+    return {
+      id: subscription.id,
+      url: subscription.url,
+      events: subscription.events,
+      description: subscription.description,
+      secretPrefix: subscription.secret.slice(0, SECRET_PREFIX.length + 6),
+      createdAt: subscription.createdAt,
+      pending: this.store.listQueue().filter(job => job.subscriptionId === subscription.id).length
+    };
+  }
+
+  createSubscription(owner, { url, events, description } = {}) {
+    try {
+      logInfo('Creating webhook subscription', { owner, url });
+
+      const details = [];
+      this.validateTarget(url, details);
+
+      const selected = events === undefined ? WEBHOOK_EVENTS : events;
+      if (!Array.isArray(selected) || selected.length === 0 || selected.some(event => !WEBHOOK_EVENTS.includes(event))) {
+        details.push(fieldError('events', 'INVALID_WEBHOOK_EVENTS', `Events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`));
+      }
+
+      if (description != null && (typeof description !== 'string' || description.length > 200)) {
+        details.push(fieldError('description', 'INVALID_WEBHOOK_DESCRIPTION', 'Description must be text of at most 200 characters'));
+      }
+
+      if (details.length > 0) {
+        throw ValidationError.fromDetails(details);
+      }
+
+      if (this.listSubscriptions(owner).length >= MAX_SUBSCRIPTIONS_PER_OWNER) {
+        throw new ValidationError('TOO_MANY_WEBHOOKS', `At most ${MAX_SUBSCRIPTIONS_PER_OWNER} webhooks can be registered per account`);
+      }
+
+      const subscription = this.store.createSubscription({
+        id: nanoid(10),
+        owner,
+        url,
+        events: [...new Set(selected)],
+        description: description ? description.trim() : null,
+        secret: SECRET_PREFIX + crypto.randomBytes(24).toString('hex'),
+        createdAt: moment().toISOString()
+      });
+
+      return { ...this.toPublicSubscription(subscription), secret: subscription.secret };
+    } catch (error) {
+      logError('Error creating webhook subscription', error);
+      throw error;
+    }
+  }
+
+  findOwnedSubscription(id, owner) {
+    const subscription = this.store.findSubscription(id);
+    if (!subscription || subscription.owner !== owner) {
+      throw new NotFoundError('WEBHOOK_NOT_FOUND', 'Webhook not found');
+    }
+    return subscription;
+  }
+
+  removeSubscription(id, owner) {
+    try {
+      logInfo('Removing webhook subscription', { id, owner });
+
+      this.findOwnedSubscription(id, owner);
+      this.store.removeSubscription(id);
+
+      return true;
+    } catch (error) {
+      logError('Error removing webhook subscription', error);
+      throw error;
+    }
+  }
+
+  listSubscriptions(owner) {
+    return this.store.listSubscriptions()
+      .filter(subscription => subscription.owner === owner)
+      .map(subscription => this.toPublicSubscription(subscription));
+  }
+
+  listDeliveries(id, owner) {
+    this.findOwnedSubscription(id, owner);
+    return this.store.listDeliveries(id).slice().reverse();
+  }
+
+  buildPayload(event, data) {
+    return {
+      id: `evt_${nanoid(16)}`,
+      event,
+      createdAt: moment().toISOString(),
+      data
+    };
+  }
+
+  // Queues one delivery per matching subscription and returns immediately;
+  // link handling never waits on, or fails because of, a receiver.
+  emit(event, owner, data) {
+    try {
+      const subscriptions = this.store.listSubscriptions()
+        .filter(subscription => subscription.owner === owner && subscription.events.includes(event));
+      if (subscriptions.length === 0) return 0;
+
+      const payload = this.buildPayload(event, data);
+      const now = moment().toISOString();
+      this.store.enqueue(subscriptions.map(subscription => ({
+        id: nanoid(12),
+        subscriptionId: subscription.id,
+        event,
+        payload,
+        attempts: 0,
+        nextAttemptAt: now,
+        createdAt: now
+      })));
+
+      setImmediate(() => this.processQueue());
+      return subscriptions.length;
+    } catch (error) {
+      logError('Error queueing webhook event', error, { event });
+      return 0;
+    }
+  }
+
+  send(subscription, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const target = new URL(subscription.url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const startedAt = Date.now();
+
+    return new Promise(resolve => {
+      const request = transport.request(target, {
+        method: 'POST',
+        timeout: this.options.timeoutMs,
+        lookup: this.options.allowPrivateTargets ? undefined : this.lookupPublic.bind(this),
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          'User-Agent': 'url-shortener-webhooks/1.0',
+          'X-Webhook-Id': payload.id,
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+        }
+      }, response => {
+        let excerpt = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          if (excerpt.length < RESPONSE_EXCERPT_LENGTH) excerpt += chunk;
+        });
+        response.on('end', () => resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          statusCode: response.statusCode,
+          response: excerpt.slice(0, RESPONSE_EXCERPT_LENGTH),
+          error: null,
+          durationMs: Date.now() - startedAt
+        }));
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.options.timeoutMs}ms`)));
+      request.on('error', error => resolve({
+        ok: false,
+        statusCode: null,
+        response: null,
+        error: error.message,
+        durationMs: Date.now() - startedAt
+      }));
+
+      request.end(body);
+    });
+  }
+
+  retryDelaySeconds(attempts) {
+    return Math.min(this.options.retryBaseSeconds * 2 ** (attempts - 1), this.options.retryMaxSeconds);
+  }
+
+  async deliver(job) {
+    const subscription = this.store.findSubscription(job.subscriptionId);
+    if (!subscription) {
+      this.store.removeJob(job.id);
+      return;
+    }
+
+    const attempts = job.attempts + 1;
+    const outcome = await this.send(subscription, job.payload);
+    const finalAttempt = attempts >= this.options.maxAttempts;
+    const status = outcome.ok ? 'succeeded' : finalAttempt ? 'failed' : 'retrying';
+
+    this.store.logDelivery({
+      id: nanoid(12),
+      subscriptionId: subscription.id,
+      eventId: job.payload.id,
+      event: job.event,
+      attempt: attempts,
+      status,
+      statusCode: outcome.statusCode,
+      error: outcome.error,
+      response: outcome.response,
+      durationMs: outcome.durationMs,
+      attemptedAt: moment().toISOString()
+    });
+
+    if (outcome.ok || finalAttempt) {
+      this.store.removeJob(job.id);
+      if (!outcome.ok) {
+        logWarn('Webhook delivery abandoned', { subscriptionId: subscription.id, event: job.event, attempts });
+      }
+      return;
+    }
+
+    const nextAttemptAt = moment().add(this.retryDelaySeconds(attempts), 'seconds').toISOString();
+    this.store.updateJob(job.id, { attempts, nextAttemptAt });
+    logInfo('Webhook delivery failed, will retry', {
+      subscriptionId: subscription.id,
+      event: job.event,
+      attempts,
+      statusCode: outcome.statusCode,
+      nextAttemptAt
+    });
+  }
+
+  // Due jobs are sent one at a time, oldest first. A second call while a
+  // run is in progress is a no-op; the poller picks up anything it missed.
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = moment().toISOString();
+      const due = this.store.listQueue()
+        .filter(job => job.nextAttemptAt <= now)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const job of due) {
+        await this.deliver(job);
+      }
+    } catch (error) {
+      logError('Error processing webhook queue', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Sends a sample event straight away, outside the retry queue, and
+  // returns the logged attempt so the caller sees the receiver's answer.
+  async sendTest(id, owner) {
+    try {
+      const subscription = this.findOwnedSubscription(id, owner);
+      const payload = this.buildPayload('webhook.test', { message: 'Test delivery', subscriptionId: subscription.id });
+      const outcome = await this.send(subscription, payload);
+
+      return this.store.logDelivery({
+        id: nanoid(12),
+        subscriptionId: subscription.id,
+        eventId: payload.id,
+        event: payload.event,
+        attempt: 1,
+        status: outcome.ok ? 'succeeded' : 'failed',
+        statusCode: outcome.statusCode,
+        error: outcome.error,
+        response: outcome.response,
+        durationMs: outcome.durationMs,
+        attemptedAt: moment().toISOString()
+      });
+    } catch (error) {
+      logError('Error sending test webhook', error);
+      throw error;
+    }
+  }
+
+  start() {
+    if (this.pollTimer) return;
+
+    this.processQueue();
+    this.pollTimer = setInterval(() => this.processQueue(), this.options.pollIntervalSeconds * 1000);
+    this.pollTimer.unref();
+
+    logInfo('Webhook dispatcher started', { queued: this.store.listQueue().length });
+  }
+
+  stop() {
+    if (!this.pollTimer) return;
+
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+}
+
+module.exports = new WebhookService(createWebhookStore(config.storage.type, config.storage), config.webhooks);
+module.exports.WebhookService = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.signPayload = signPayload;
@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const { ALPHABETS, STRATEGIES } = require('../backend_test_submission/shortcodeStrategies');
+
+// Settings are read from an optional JSON file (CONFIG_FILE) and then
+// overridden by environment variables. Everything is validated once at
+// startup so a bad deployment fails fast instead of serving broken links.
+
+const defaults = {
+  port: 5000,
+  publicBaseUrl: null,
+  pathPrefix: '',
+  corsOrigins: ['http://localhost:3000'],
+  trustProxy: false,
+  rateLimit: {
+    windowMs: 15 * 60 * 1000,
+    max: 100
+  },
+  storage: {
+    type: 'memory',
+    filePath: null,
+    usersFilePath: null,
+    domainsFilePath: null,
+    webhooksFilePath: null
+  },
+  auth: {
+    sessionTtlMinutes: 12 * 60,
+    allowRegistration: true,
+    adminUsers: []
+  },
+  bulk: {
+    maxItems: 1000,
+    maxImportRows: 10000,
+    maxImportBytes: 10 * 1024 * 1024
+  },
+  unlock: {
+    maxAttempts: 5,
+    windowMinutes: 15
+  },
+  geoip: {
+    dbPath: path.join(__dirname, '../backend_test_submission/data/geoip-sample.csv')
+  },
+  lifecycle: {
+    sweepIntervalSeconds: 60,
+    archiveGraceMinutes: 24 * 60,
+    shortcodeReuse: 'never',
+    shortcodeCooldownDays: 30,
+    clickRetentionDays: 365
+  },
+  screening: {
+    allowDomains: [],
+    denyDomains: [],
+    shortenerDomains: null,
+    blockPrivateTargets: true,
+    blocklistPath: null
+  },
+  analytics: {
+    visitorHashSecret: null
+  },
+  qr: {
+    logoPath: path.join(__dirname, '../backend_test_submission/data/qr-logo.png')
+  },
+  shortcodes: {
+    strategy: 'random',
+    length: 8,
+    maxLength: 12,
+    alphabet: 'url',
+    maxAttempts: 10,
+    deterministic: false,
+    caseInsensitive: false,
+    reserved: []
+  },
+  webhooks: {
+    timeoutMs: 5000,
+    maxAttempts: 8,
+    retryBaseSeconds: 30,
+    retryMaxSeconds: 60 * 60,
+    pollIntervalSeconds: 5,
+    expiringWindowMinutes: 60,
+    allowPrivateTargets: false
+  }
+};
+
+const loadFile = (filePath) => {
+  if (!filePath) return {};
+
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Invalid configuration: config file not found at ${resolved}`);
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid configuration: unable to parse ${resolved} (${error.message})`);
+  }
+};
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const fromEnv = (env) => {
+  const config = { rateLimit: {}, storage: {}, auth: {}, bulk: {}, unlock: {}, geoip: {}, lifecycle: {}, screening: {}, analytics: {}, qr: {}, shortcodes: {}, webhooks: {} };
+
+  if (env.PORT !== undefined) config.port = env.PORT;
+  if (env.PUBLIC_BASE_URL !== undefined) config.publicBaseUrl = env.PUBLIC_BASE_URL;
+  if (env.PATH_PREFIX !== undefined) config.pathPrefix = env.PATH_PREFIX;
+  if (env.CORS_ORIGINS !== undefined) config.corsOrigins = splitList(env.CORS_ORIGINS);
+  if (env.TRUST_PROXY !== undefined) config.trustProxy = env.TRUST_PROXY;
+  if (env.RATE_LIMIT_WINDOW_MS !== undefined) config.rateLimit.windowMs = env.RATE_LIMIT_WINDOW_MS;
+  if (env.RATE_LIMIT_MAX !== undefined) config.rateLimit.max = env.RATE_LIMIT_MAX;
+  if (env.URL_STORE !== undefined) config.storage.type = env.URL_STORE;
+  if (env.URL_STORE_PATH !== undefined) config.storage.filePath = env.URL_STORE_PATH;
+  if (env.USERS_STORE_PATH !== undefined) config.storage.usersFilePath = env.USERS_STORE_PATH;
+  if (env.DOMAINS_STORE_PATH !== undefined) config.storage.domainsFilePath = env.DOMAINS_STORE_PATH;
+  if (env.WEBHOOKS_STORE_PATH !== undefined) config.storage.webhooksFilePath = env.WEBHOOKS_STORE_PATH;
+  if (env.SESSION_TTL_MINUTES !== undefined) config.auth.sessionTtlMinutes = env.SESSION_TTL_MINUTES;
+  if (env.ALLOW_REGISTRATION !== undefined) config.auth.allowRegistration = env.ALLOW_REGISTRATION;
+  if (env.ADMIN_USERS !== undefined) config.auth.adminUsers = splitList(env.ADMIN_USERS);
+  if (env.BULK_MAX_ITEMS !== undefined) config.bulk.maxItems = env.BULK_MAX_ITEMS;
+  if (env.IMPORT_MAX_ROWS !== undefined) config.bulk.maxImportRows = env.IMPORT_MAX_ROWS;
+  if (env.IMPORT_MAX_BYTES !== undefined) config.bulk.maxImportBytes = env.IMPORT_MAX_BYTES;
+  if (env.UNLOCK_MAX_ATTEMPTS !== undefined) config.unlock.maxAttempts = env.UNLOCK_MAX_ATTEMPTS;
+  if (env.UNLOCK_WINDOW_MINUTES !== undefined) config.unlock.windowMinutes = env.UNLOCK_WINDOW_MINUTES;
+  if (env.GEOIP_DB_PATH !== undefined) config.geoip.dbPath = env.GEOIP_DB_PATH;
+  if (env.SWEEP_INTERVAL_SECONDS !== undefined) config.lifecycle.sweepIntervalSeconds = env.SWEEP_INTERVAL_SECONDS;
+  if (env.ARCHIVE_GRACE_MINUTES !== undefined) config.lifecycle.archiveGraceMinutes = env.ARCHIVE_GRACE_MINUTES;
+  if (env.SHORTCODE_REUSE !== undefined) config.lifecycle.shortcodeReuse = env.SHORTCODE_REUSE;
+  if (env.SHORTCODE_COOLDOWN_DAYS !== undefined) config.lifecycle.shortcodeCooldownDays = env.SHORTCODE_COOLDOWN_DAYS;
+  if (env.CLICK_RETENTION_DAYS !== undefined) config.lifecycle.clickRetentionDays = env.CLICK_RETENTION_DAYS;
+  if (env.ALLOWED_DOMAINS !== undefined) config.screening.allowDomains = splitList(env.ALLOWED_DOMAINS);
+  if (env.DENIED_DOMAINS !== undefined) config.screening.denyDomains = splitList(env.DENIED_DOMAINS);
+  if (env.SHORTENER_DOMAINS !== undefined) config.screening.shortenerDomains = splitList(env.SHORTENER_DOMAINS);
+  if (env.BLOCK_PRIVATE_TARGETS !== undefined) config.screening.blockPrivateTargets = env.BLOCK_PRIVATE_TARGETS;
+  if (env.BLOCKLIST_PATH !== undefined) config.screening.blocklistPath = env.BLOCKLIST_PATH;
+  if (env.VISITOR_HASH_SECRET !== undefined) config.analytics.visitorHashSecret = env.VISITOR_HASH_SECRET;
+  if (env.QR_LOGO_PATH !== undefined) config.qr.logoPath = env.QR_LOGO_PATH;
+  if (env.SHORTCODE_STRATEGY !== undefined) config.shortcodes.strategy = env.SHORTCODE_STRATEGY;
+  if (env.SHORTCODE_LENGTH !== undefined) config.shortcodes.length = env.SHORTCODE_LENGTH;
+  if (env.SHORTCODE_MAX_LENGTH !== undefined) config.shortcodes.maxLength = env.SHORTCODE_MAX_LENGTH;
+  if (env.SHORTCODE_ALPHABET !== undefined) config.shortcodes.alphabet = env.SHORTCODE_ALPHABET;
+  if (env.SHORTCODE_MAX_ATTEMPTS !== undefined) config.shortcodes.maxAttempts = env.SHORTCODE_MAX_ATTEMPTS;
+  if (env.DETERMINISTIC_SHORTCODES !== undefined) config.shortcodes.deterministic = env.DETERMINISTIC_SHORTCODES;
+  if (env.SHORTCODE_CASE_INSENSITIVE !== undefined) config.shortcodes.caseInsensitive = env.SHORTCODE_CASE_INSENSITIVE;
+  if (env.RESERVED_SHORTCODES !== undefined) config.shortcodes.reserved = splitList(env.RESERVED_SHORTCODES);
+  if (env.WEBHOOK_TIMEOUT_MS !== undefined) config.webhooks.timeoutMs = env.WEBHOOK_TIMEOUT_MS;
+  if (env.WEBHOOK_MAX_ATTEMPTS !== undefined) config.webhooks.maxAttempts = env.WEBHOOK_MAX_ATTEMPTS;
+  if (env.WEBHOOK_RETRY_BASE_SECONDS !== undefined) config.webhooks.retryBaseSeconds = env.WEBHOOK_RETRY_BASE_SECONDS;
+  if (env.WEBHOOK_RETRY_MAX_SECONDS !== undefined) config.webhooks.retryMaxSeconds = env.WEBHOOK_RETRY_MAX_SECONDS;
+  if (env.WEBHOOK_POLL_INTERVAL_SECONDS !== undefined) config.webhooks.pollIntervalSeconds = env.WEBHOOK_POLL_INTERVAL_SECONDS;
+  if (env.WEBHOOK_EXPIRING_WINDOW_MINUTES !== undefined) config.webhooks.expiringWindowMinutes = env.WEBHOOK_EXPIRING_WINDOW_MINUTES;
+  if (env.WEBHOOK_ALLOW_PRIVATE_TARGETS !== undefined) config.webhooks.allowPrivateTargets = env.WEBHOOK_ALLOW_PRIVATE_TARGETS;
+
+  return config;
+};
+
+const merge = (...sources) => sources.reduce((result, source) => {
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      result[key] = merge(result[key] || {}, value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}, {});
+
+const toPositiveInteger = (value, name, errors) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    errors.push(`${name} must be a positive integer (got "${value}")`);
+    return null;
+  }
+  return number;
+};
+
+const toBoolean = (value, name, errors) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  errors.push(`${name} must be true or false (got "${value}")`);
+  return null;
+};
+
+const validate = (raw) => {
+  const errors = [];
+  const config = {};
+
+  config.port = toPositiveInteger(raw.port, 'PORT', errors);
+  if (config.port && config.port > 65535) {
+    errors.push(`PORT must be between 1 and 65535 (got "${raw.port}")`);
+  }
+
+  const baseUrl = raw.publicBaseUrl || `http://localhost:${config.port || defaults.port}`;
+  try {
+    const parsed = new URL(baseUrl);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      errors.push(`PUBLIC_BASE_URL must use http or https (got "${baseUrl}")`);
+    }
+    if (parsed.search || parsed.hash) {
+      errors.push(`PUBLIC_BASE_URL must not contain a query string or fragment (got "${baseUrl}")`);
+    }
+  } catch (error) {
+    errors.push(`PUBLIC_BASE_URL must be an absolute URL (got "${baseUrl}")`);
+  }
+  config.publicBaseUrl = baseUrl.replace(/\/+$/, '');
+
+  const prefix = typeof raw.pathPrefix === 'string' ? raw.pathPrefix.trim() : '';
+  if (prefix && !/^\/?[a-zA-Z0-9\-_/]+$/.test(prefix)) {
+    errors.push(`PATH_PREFIX may only contain letters, digits, "-", "_" and "/" (got "${raw.pathPrefix}")`);
+  }
+  config.pathPrefix = prefix ? '/' + prefix.replace(/^\/+|\/+$/g, '') : '';
+
+  if (!Array.isArray(raw.corsOrigins) || raw.corsOrigins.length === 0) {
+    errors.push('CORS_ORIGINS must list at least one origin');
+    config.corsOrigins = [];
+  } else {
+    config.corsOrigins = raw.corsOrigins.map(origin => String(origin).replace(/\/+$/, ''));
+    config.corsOrigins.forEach(origin => {
+      if (origin === '*') return;
+      try {
+        new URL(origin);
+      } catch (error) {
+        errors.push(`CORS_ORIGINS contains an invalid origin "${origin}"`);
+      }
+    });
+  }
+
+  if (raw.trustProxy === true || raw.trustProxy === 'true') {
+    config.trustProxy = true;
+  } else if (raw.trustProxy === false || raw.trustProxy === 'false' || raw.trustProxy === '') {
+    config.trustProxy = false;
+  } else {
+    config.trustProxy = toPositiveInteger(raw.trustProxy, 'TRUST_PROXY (true, false or hop count)', errors);
+  }
+
+  config.rateLimit = {
+    windowMs: toPositiveInteger(raw.rateLimit.windowMs, 'RATE_LIMIT_WINDOW_MS', errors),
+    max: toPositiveInteger(raw.rateLimit.max, 'RATE_LIMIT_MAX', errors)
+  };
+
+  const storageTypes = ['memory', 'file'];
+  if (!storageTypes.includes(raw.storage.type)) {
+    errors.push(`URL_STORE must be one of ${storageTypes.join(', ')} (got "${raw.storage.type}")`);
+  }
+  config.storage = {
+    type: raw.storage.type,
+    filePath: raw.storage.filePath ? path.resolve(raw.storage.filePath) : null,
+    usersFilePath: raw.storage.usersFilePath ? path.resolve(raw.storage.usersFilePath) : null,
+    domainsFilePath: raw.storage.domainsFilePath ? path.resolve(raw.storage.domainsFilePath) : null,
+    webhooksFilePath: raw.storage.webhooksFilePath ? path.resolve(raw.storage.webhooksFilePath) : null
+  };
+
+  config.auth = {
+    sessionTtlMinutes: toPositiveInteger(raw.auth.sessionTtlMinutes, 'SESSION_TTL_MINUTES', errors),
+    allowRegistration: toBoolean(raw.auth.allowRegistration, 'ALLOW_REGISTRATION', errors),
+    adminUsers: Array.isArray(raw.auth.adminUsers) ? raw.auth.adminUsers.map(String) : []
+  };
+  if (!Array.isArray(raw.auth.adminUsers)) {
+    errors.push('ADMIN_USERS must be a list of usernames');
+  }
+
+  config.bulk = {
+    maxItems: toPositiveInteger(raw.bulk.maxItems, 'BULK_MAX_ITEMS', errors),
+    maxImportRows: toPositiveInteger(raw.bulk.maxImportRows, 'IMPORT_MAX_ROWS', errors),
+    maxImportBytes: toPositiveInteger(raw.bulk.maxImportBytes, 'IMPORT_MAX_BYTES', errors)
+  };
+
+  config.unlock = {
+    maxAttempts: toPositiveInteger(raw.unlock.maxAttempts, 'UNLOCK_MAX_ATTEMPTS', errors),
+    windowMinutes: toPositiveInteger(raw.unlock.windowMinutes, 'UNLOCK_WINDOW_MINUTES', errors)
+  };
+
+  config.geoip = {
+    dbPath: raw.geoip.dbPath ? path.resolve(raw.geoip.dbPath) : null
+  };
+  if (config.geoip.dbPath && !fs.existsSync(config.geoip.dbPath)) {
+    errors.push(`GEOIP_DB_PATH points to a missing file (${config.geoip.dbPath})`);
+  }
+
+  const reusePolicies = ['never', 'archive', 'cooldown'];
+  if (!reusePolicies.includes(raw.lifecycle.shortcodeReuse)) {
+    errors.push(`SHORTCODE_REUSE must be one of ${reusePolicies.join(', ')} (got "${raw.lifecycle.shortcodeReuse}")`);
+  }
+  config.lifecycle = {
+    sweepIntervalSeconds: toPositiveInteger(raw.lifecycle.sweepIntervalSeconds, 'SWEEP_INTERVAL_SECONDS', errors),
+    archiveGraceMinutes: toPositiveInteger(raw.lifecycle.archiveGraceMinutes, 'ARCHIVE_GRACE_MINUTES', errors),
+    shortcodeReuse: raw.lifecycle.shortcodeReuse,
+    shortcodeCooldownDays: toPositiveInteger(raw.lifecycle.shortcodeCooldownDays, 'SHORTCODE_COOLDOWN_DAYS', errors),
+    clickRetentionDays: toPositiveInteger(raw.lifecycle.clickRetentionDays, 'CLICK_RETENTION_DAYS', errors)
+  };
+
+  const domainList = (value, name) => {
+    if (!Array.isArray(value)) {
+      errors.push(`${name} must be a list of domains`);
+      return [];
+    }
+    return value.map(domain => String(domain).trim().toLowerCase()).filter(Boolean);
+  };
+  config.screening = {
+    allowDomains: domainList(raw.screening.allowDomains, 'ALLOWED_DOMAINS'),
+    denyDomains: domainList(raw.screening.denyDomains, 'DENIED_DOMAINS'),
+    shortenerDomains: raw.screening.shortenerDomains == null
+      ? null
+      : domainList(raw.screening.shortenerDomains, 'SHORTENER_DOMAINS'),
+    blockPrivateTargets: toBoolean(raw.screening.blockPrivateTargets, 'BLOCK_PRIVATE_TARGETS', errors),
+    blocklistPath: raw.screening.blocklistPath ? path.resolve(raw.screening.blocklistPath) : null
+  };
+  if (config.screening.blocklistPath && !fs.existsSync(config.screening.blocklistPath)) {
+    errors.push(`BLOCKLIST_PATH points to a missing file (${config.screening.blocklistPath})`);
+  }
+
+  // Without a secret, visitor hashes use a key that changes on every
+  // restart, so unique visitors are counted per process lifetime.
+  const visitorHashSecret = raw.analytics.visitorHashSecret || null;
+  if (visitorHashSecret !== null && (typeof visitorHashSecret !== 'string' || visitorHashSecret.length < 16)) {
+    errors.push('VISITOR_HASH_SECRET must be at least 16 characters long');
+  }
+  config.analytics = { visitorHashSecret };
+
+  config.qr = {
+    logoPath: raw.qr.logoPath ? path.resolve(raw.qr.logoPath) : null
+  };
+  if (config.qr.logoPath && !fs.existsSync(config.qr.logoPath)) {
+    errors.push(`QR_LOGO_PATH points to a missing file (${config.qr.logoPath})`);
+  }
+
+  if (!STRATEGIES.includes(raw.shortcodes.strategy)) {
+    errors.push(`SHORTCODE_STRATEGY must be one of ${STRATEGIES.join(', ')} (got "${raw.shortcodes.strategy}")`);
+  }
+  const alphabet = String(raw.shortcodes.alphabet);
+  if (!ALPHABETS[alphabet] && (!/^[A-Za-z0-9_-]{8,}$/.test(alphabet) || new Set(alphabet).size !== alphabet.length)) {
+    errors.push(`SHORTCODE_ALPHABET must be one of ${Object.keys(ALPHABETS).join(', ')} or at least 8 distinct letters, digits, "-" or "_"`);
+  }
+  config.shortcodes = {
+    strategy: raw.shortcodes.strategy,
+    length: toPositiveInteger(raw.shortcodes.length, 'SHORTCODE_LENGTH', errors),
+    maxLength: toPositiveInteger(raw.shortcodes.maxLength, 'SHORTCODE_MAX_LENGTH', errors),
+    alphabet,
+    maxAttempts: toPositiveInteger(raw.shortcodes.maxAttempts, 'SHORTCODE_MAX_ATTEMPTS', errors),
+    deterministic: toBoolean(raw.shortcodes.deterministic, 'DETERMINISTIC_SHORTCODES', errors),
+    caseInsensitive: toBoolean(raw.shortcodes.caseInsensitive, 'SHORTCODE_CASE_INSENSITIVE', errors),
+    reserved: Array.isArray(raw.shortcodes.reserved)
+      ? raw.shortcodes.reserved.map(word => String(word).trim().toLowerCase()).filter(Boolean)
+      : []
+  };
+  if (!Array.isArray(raw.shortcodes.reserved)) {
+    errors.push('RESERVED_SHORTCODES must be a list of words');
+  }
+  if (config.shortcodes.length && (config.shortcodes.length < 4 || config.shortcodes.length > 20)) {
+    errors.push(`SHORTCODE_LENGTH must be between 4 and 20 (got ${config.shortcodes.length})`);
+  }
+  if (config.shortcodes.length && config.shortcodes.maxLength && config.shortcodes.maxLength < config.shortcodes.length) {
+    errors.push('SHORTCODE_MAX_LENGTH must not be less than SHORTCODE_LENGTH');
+  }
+  if (config.shortcodes.maxLength && config.shortcodes.maxLength > 20) {
+    errors.push(`SHORTCODE_MAX_LENGTH must be at most 20 (got ${config.shortcodes.maxLength})`);
+  }
+  // Counter values must stay exact integers, which caps base62 codes at 9 characters.
+  if (config.shortcodes.strategy === 'counter' && config.shortcodes.length > 9) {
+    errors.push('SHORTCODE_LENGTH must be at most 9 with the counter strategy');
+  }
+
+  config.webhooks = {
+    timeoutMs: toPositiveInteger(raw.webhooks.timeoutMs, 'WEBHOOK_TIMEOUT_MS', errors),
+    maxAttempts: toPositiveInteger(raw.webhooks.maxAttempts, 'WEBHOOK_MAX_ATTEMPTS', errors),
+    retryBaseSeconds: toPositiveInteger(raw.webhooks.retryBaseSeconds, 'WEBHOOK_RETRY_BASE_SECONDS', errors),
+    retryMaxSeconds: toPositiveInteger(raw.webhooks.retryMaxSeconds, 'WEBHOOK_RETRY_MAX_SECONDS', errors),
+    pollIntervalSeconds: toPositiveInteger(raw.webhooks.pollIntervalSeconds, 'WEBHOOK_POLL_INTERVAL_SECONDS', errors),
+    expiringWindowMinutes: toPositiveInteger(raw.webhooks.expiringWindowMinutes, 'WEBHOOK_EXPIRING_WINDOW_MINUTES', errors),
+    allowPrivateTargets: toBoolean(raw.webhooks.allowPrivateTargets, 'WEBHOOK_ALLOW_PRIVATE_TARGETS', errors)
+  };
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return config;
+};
+
+const loadConfig = (env = process.env) => validate(merge(defaults, loadFile(env.CONFIG_FILE), fromEnv(env)));
+
+module.exports = loadConfig();
+module.exports.loadConfig = loadConfig;
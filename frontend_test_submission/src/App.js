@@ -1,13 +1,38 @@
-import React from 'react';
-import { Routes, Route } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Routes, Route, Navigate, useNavigate } from 'react-router-dom';
 import { AppBar, Toolbar, Typography, Button, Container } from '@mui/material';
 import { Link as RouterLink } from 'react-router-dom';
 import LinkIcon from '@mui/icons-material/Link';
 import AnalyticsIcon from '@mui/icons-material/Analytics';
+import LogoutIcon from '@mui/icons-material/Logout';
+import axios from 'axios';
 import URLShortener from './components/URLShortener';
 import Statistics from './components/Statistics';
+import Login from './components/Login';
+import { getSession, saveSession, clearSession, setupAuth } from './auth';
 
 function App() {
+  const [session, setSession] = useState(getSession);
+  const navigate = useNavigate();
+
+  useEffect(() => setupAuth(() => setSession(null)), []);
+
+  const handleLogin = (newSession) => {
+    saveSession(newSession);
+    setSession(newSession);
+    navigate('/');
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post('/auth/logout');
+    } catch (error) {
+      console.error('Error logging out:', error);
+    }
+    clearSession();
+    setSession(null);
+  };
+
   return (
     <div>
       <AppBar position="static">
@@ -16,33 +41,52 @@ function App() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             URL Shortener
           </Typography>
-          <Button 
-            color="inherit" 
-            component={RouterLink} 
-            to="/"
-            startIcon={<LinkIcon />}
-          >
-            Shorten URLs
-          </Button>
-          <Button 
-            color="inherit" 
-            component={RouterLink} 
-            to="/statistics"
-            startIcon={<AnalyticsIcon />}
-          >
-            Statistics
-          </Button>
+          {session && (
+            <>
+              <Button 
+                color="inherit" 
+                component={RouterLink} 
+                to="/"
+                startIcon={<LinkIcon />}
+              >
+                Shorten URLs
+              </Button>
+              <Button 
+                color="inherit" 
+                component={RouterLink} 
+                to="/statistics"
+                startIcon={<AnalyticsIcon />}
+              >
+                Statistics
+              </Button>
+              <Button 
+                color="inherit" 
+                onClick={handleLogout}
+                startIcon={<LogoutIcon />}
+              >
+                {session.user.username}
+              </Button>
+            </>
+          )}
         </Toolbar>
       </AppBar>
       
       <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
-        <Routes>
-          <Route path="/" element={<URLShortener />} />
-          <Route path="/statistics" element={<Statistics />} />
-        </Routes>
+        {session ? (
+          <Routes>
+            <Route path="/" element={<URLShortener />} />
+            <Route path="/statistics" element={<Statistics />} />
+            <Route path="/login" element={<Navigate to="/" replace />} />
+          </Routes>
+        ) : (
+          <Routes>
+            <Route path="/login" element={<Login onLogin={handleLogin} />} />
+            <Route path="*" element={<Navigate to="/login" replace />} />
+          </Routes>
+        )}
       </Container>
     </div>
   );
 }
 
-export default App; 
\ No newline at end of file
+export default App;
@@ -0,0 +1,112 @@
+// The API answers every failure with { error, code, message, details }, where
+// details lists { field, code, message } for each offending request field.
+// Components show these messages next to the matching inputs.
+
+export const describeError = (code, fallback) => {
+  switch (code) {
+    case 'URL_REQUIRED':
+    case 'INVALID_URL':
+      return 'Enter a valid URL starting with http:// or https://';
+    case 'INVALID_VALIDITY':
+      return 'Validity must be a whole number of minutes';
+    case 'INVALID_SHORTCODE':
+      return 'Use 3-20 letters or digits, optionally joined by "-" or "_"';
+    case 'SHORTCODE_RESERVED':
+      return 'This word is reserved by the app, choose another shortcode';
+    case 'TITLE_REQUIRED':
+      return 'Enter a title with at least 3 letters or digits';
+    case 'INVALID_TITLE':
+      return 'Title must be at most 200 characters';
+    case 'CONFLICTING_SHORTCODE':
+      return 'Use either a custom shortcode or the title, not both';
+    case 'SHORTCODE_TAKEN':
+      return 'This shortcode is already taken, try another one';
+    case 'INVALID_LINK_PASSWORD':
+      return 'Password must be 4-128 characters';
+    case 'INVALID_MAX_CLICKS':
+      return 'Enter a whole number greater than zero';
+    case 'INVALID_DATE':
+      return 'Enter a valid date and time';
+    case 'EXPIRY_IN_PAST':
+      return 'The end time must be in the future';
+    case 'INVALID_SCHEDULE':
+      return 'The start time must be before the end time';
+    case 'CONFLICTING_EXPIRY':
+      return 'Use either a validity period or an end time, not both';
+    case 'INVALID_EXTENSION':
+      return 'Extend by a whole number of minutes';
+    case 'DESTINATION_SELF_REFERENCE':
+      return 'This URL points back to this shortener';
+    case 'DESTINATION_SHORTENER':
+      return 'Links to other URL shorteners are not allowed';
+    case 'DESTINATION_PRIVATE':
+      return 'Links to private or local network addresses are not allowed';
+    case 'DESTINATION_NOT_ALLOWED':
+      return 'This domain is not on the list of allowed destinations';
+    case 'DESTINATION_DENIED':
+    case 'DESTINATION_MALICIOUS':
+      return 'This destination has been blocked';
+    case 'INVALID_TAGS':
+      return 'Use at most 10 tags of up to 32 characters each';
+    case 'INVALID_FOLDER':
+      return 'Folder names must be 1-64 characters';
+    case 'INVALID_RULES':
+      return 'Routing rules must be a list of at most 20 rules';
+    case 'INVALID_RULE':
+    case 'INVALID_RULE_CONDITION':
+      return 'Each routing rule needs an OS, device or country condition';
+    case 'INVALID_RULE_URL':
+      return 'Rule destinations must start with http:// or https://';
+    case 'INVALID_RULE_NAME':
+      return 'Rule names must be at most 64 characters';
+    case 'INVALID_VARIANTS':
+      return 'An A/B test needs 2-10 destinations';
+    case 'INVALID_VARIANT':
+    case 'INVALID_VARIANT_URL':
+      return 'Variant destinations must start with http:// or https://';
+    case 'INVALID_VARIANT_WEIGHT':
+      return 'Variant weights must be whole numbers from 1 to 1000';
+    case 'INVALID_VARIANT_NAME':
+      return 'Variant names must be at most 64 characters';
+    case 'UNKNOWN_DOMAIN':
+      return 'This domain is not registered on the server';
+    case 'SHORTCODE_SPACE_EXHAUSTED':
+      return 'Could not generate a shortcode, please try again';
+    case 'INVALID_USERNAME':
+      return 'Use 3-32 letters, digits, ".", "_" or "-"';
+    case 'INVALID_PASSWORD':
+      return 'Password must be at least 8 characters';
+    case 'USERNAME_TAKEN':
+      return 'That username is already registered';
+    case 'INVALID_CREDENTIALS':
+      return 'The username or password is incorrect';
+    case 'REGISTRATION_DISABLED':
+      return 'New accounts cannot be created on this server';
+    case 'LINK_NOT_FOUND':
+      return 'This short URL no longer exists';
+    case 'RATE_LIMITED':
+      return 'Too many requests, please wait a moment and try again';
+    default:
+      return fallback;
+  }
+};
+
+export const parseApiError = (error, fallback) => {
+  const data = error.response?.data;
+  if (!data) {
+    return { code: 'NETWORK_ERROR', message: 'Unable to reach the server', fields: {} };
+  }
+
+  const fields = {};
+  (data.details || []).forEach(detail => {
+    if (detail.field && !fields[detail.field]) {
+      fields[detail.field] = describeError(detail.code, detail.message);
+    }
+  });
+
+  return {
+    code: data.code,
+    message: describeError(data.code, data.message || fallback),
+    fields
+  };
+};
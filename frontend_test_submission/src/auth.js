@@ -0,0 +1,53 @@
+import axios from 'axios';
+
+const STORAGE_KEY = 'urlShortenerSession';
+
+// Set REACT_APP_API_BASE_URL to the server's PATH_PREFIX (or full origin)
+// when the API is not served from the root.
+axios.defaults.baseURL = process.env.REACT_APP_API_BASE_URL || '';
+
+export const getSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (!session || new Date() > new Date(session.expiresAt)) return null;
+    return session;
+  } catch {
+    return null;
+  }
+};
+
+const applyAuthHeader = (session) => {
+  if (session) {
+    axios.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+  } else {
+    delete axios.defaults.headers.common.Authorization;
+  }
+};
+
+export const saveSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  applyAuthHeader(session);
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+  applyAuthHeader(null);
+};
+
+applyAuthHeader(getSession());
+
+export const setupAuth = (onUnauthorized) => {
+  const interceptor = axios.interceptors.response.use(
+    response => response,
+    error => {
+      const isAuthRoute = error.config?.url?.startsWith('/auth/login') || error.config?.url?.startsWith('/auth/register');
+      if (error.response?.status === 401 && !isAuthRoute) {
+        clearSession();
+        onUnauthorized();
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  return () => axios.interceptors.response.eject(interceptor);
+};
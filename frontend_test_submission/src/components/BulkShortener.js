@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import {
+  Box, Card, CardContent, Typography, TextField, Button, Alert, Chip,
+  Table, TableBody, TableCell, TableContainer, TableHead, TableRow, Paper
+} from '@mui/material';
+import {
+  UploadFile as UploadIcon,
+  Download as DownloadIcon,
+  CheckCircle as SuccessIcon,
+  Error as ErrorIcon
+} from '@mui/icons-material';
+import axios from 'axios';
+import { describeError, parseApiError } from '../apiErrors';
+import { parseCSV, toCSV, downloadFile } from '../csv';
+
+const MAX_BULK_URLS = 1000;
+
+const validateURL = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+  } catch {
+    return false;
+  }
+};
+
+const toRows = (text) => {
+  const records = parseCSV(text);
+  if (records.length === 0) return [];
+
+  const header = records[0].map(value => value.toLowerCase());
+  const hasHeader = header.includes('url');
+  const columns = hasHeader
+    ? {
+        url: header.indexOf('url'),
+        validity: header.indexOf('validity'),
+        shortcode: header.indexOf('shortcode'),
+        redirectType: header.indexOf('redirecttype')
+      }
+    : { url: 0, validity: 1, shortcode: 2, redirectType: 3 };
+
+  return records.slice(hasHeader ? 1 : 0).map((record, index) => {
+    const url = record[columns.url] || '';
+    const validity = columns.validity >= 0 ? record[columns.validity] || '' : '';
+    const shortcode = columns.shortcode >= 0 ? record[columns.shortcode] || '' : '';
+    const redirectType = columns.redirectType >= 0 ? record[columns.redirectType] || '' : '';
+
+    let problem = null;
+    if (!validateURL(url)) {
+      problem = 'Invalid URL';
+    } else if (validity && !/^\d+$/.test(validity)) {
+      problem = 'Validity must be a whole number of minutes';
+    } else if (redirectType && !['301', '302', '307'].includes(redirectType)) {
+      problem = 'Redirect type must be 301, 302 or 307';
+    }
+
+    return { line: index + 1, url, validity, shortcode, redirectType, problem };
+  });
+};
+
+const BulkShortener = ({ onNotify }) => {
+  const [text, setText] = useState('');
+  const [rows, setRows] = useState([]);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateText = (value) => {
+    setText(value);
+    setRows(toRows(value));
+    setResults(null);
+    setError(null);
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => updateText(reader.result);
+    reader.readAsText(file);
+    e.target.value = '';
+  };
+
+  const validRows = rows.filter(row => !row.problem);
+
+  const submit = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const payload = validRows.map(row => ({
+        url: row.url,
+        validity: row.validity ? parseInt(row.validity, 10) : undefined,
+        shortcode: row.shortcode || undefined,
+        redirectType: row.redirectType ? parseInt(row.redirectType, 10) : undefined
+      }));
+
+      const response = await axios.post('/shorturls/bulk', { urls: payload });
+
+      setResults(response.data.results.map(result => ({ ...result, row: validRows[result.index] })));
+      onNotify(`${response.data.created} of ${response.data.total} URLs shortened`, response.data.failed ? 'warning' : 'success');
+    } catch (error) {
+      setError(parseApiError(error, 'Failed to shorten URLs').message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadResults = () => {
+    const csv = toCSV(
+      ['url', 'validity', 'shortcode', 'status', 'shortLink', 'expiry', 'error'],
+      results.map(result => [
+        result.row.url,
+        result.row.validity,
+        result.row.shortcode,
+        result.success ? 'created' : 'failed',
+        result.shortLink,
+        result.expiry,
+        result.success ? '' : describeError(result.code, result.message)
+      ])
+    );
+    downloadFile('shortened-urls.csv', csv);
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>Bulk Import</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Paste or upload CSV with the columns <strong>url, validity, shortcode, redirectType</strong> (header row
+          optional, everything but the URL may be left empty). Up to {MAX_BULK_URLS} URLs per batch.
+        </Typography>
+
+        <TextField
+          fullWidth
+          multiline
+          minRows={6}
+          maxRows={14}
+          label="CSV data"
+          value={text}
+          onChange={(e) => updateText(e.target.value)}
+          placeholder={'url,validity,shortcode\nhttps://example.com/landing,60,spring\nhttps://example.com/blog,,'}
+          sx={{ fontFamily: 'monospace' }}
+        />
+
+        <Box sx={{ mt: 2, display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <Button variant="outlined" component="label" startIcon={<UploadIcon />}>
+            Upload CSV
+            <input type="file" accept=".csv,text/csv,text/plain" hidden onChange={handleFile} />
+          </Button>
+          {rows.length > 0 && (
+            <>
+              <Chip label={`${validRows.length} valid`} color="success" size="small" />
+              {rows.length > validRows.length && (
+                <Chip label={`${rows.length - validRows.length} invalid`} color="error" size="small" />
+              )}
+            </>
+          )}
+          <Box sx={{ flexGrow: 1 }} />
+          <Button
+            variant="contained"
+            onClick={submit}
+            disabled={loading || validRows.length === 0 || validRows.length > MAX_BULK_URLS}
+          >
+            {loading ? 'Shortening...' : `Shorten ${validRows.length} URLs`}
+          </Button>
+        </Box>
+
+        {validRows.length > MAX_BULK_URLS && (
+          <Alert severity="warning" sx={{ mt: 2 }}>
+            Only {MAX_BULK_URLS} URLs can be submitted at once. Split the file into smaller batches.
+          </Alert>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>
+        )}
+
+        {rows.length > 0 && !results && (
+          <TableContainer component={Paper} variant="outlined" sx={{ mt: 2, maxHeight: 400 }}>
+            <Table size="small" stickyHeader>
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>#</strong></TableCell>
+                  <TableCell><strong>URL</strong></TableCell>
+                  <TableCell><strong>Validity</strong></TableCell>
+                  <TableCell><strong>Shortcode</strong></TableCell>
+                  <TableCell><strong>Check</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {rows.map(row => (
+                  <TableRow key={row.line}>
+                    <TableCell>{row.line}</TableCell>
+                    <TableCell sx={{ wordBreak: 'break-all' }}>{row.url}</TableCell>
+                    <TableCell>{row.validity || '30'}</TableCell>
+                    <TableCell>{row.shortcode || '(auto)'}</TableCell>
+                    <TableCell>
+                      {row.problem
+                        ? <Chip label={row.problem} color="error" size="small" variant="outlined" />
+                        : <Chip label="OK" color="success" size="small" variant="outlined" />}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        )}
+
+        {results && (
+          <>
+            <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end' }}>
+              <Button variant="outlined" startIcon={<DownloadIcon />} onClick={downloadResults}>
+                Download Results CSV
+              </Button>
+            </Box>
+            <TableContainer component={Paper} variant="outlined" sx={{ mt: 2, maxHeight: 400 }}>
+              <Table size="small" stickyHeader>
+                <TableHead>
+                  <TableRow>
+                    <TableCell><strong>URL</strong></TableCell>
+                    <TableCell><strong>Result</strong></TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {results.map(result => (
+                    <TableRow key={result.index}>
+                      <TableCell sx={{ wordBreak: 'break-all' }}>{result.row.url}</TableCell>
+                      <TableCell>
+                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                          {result.success
+                            ? <SuccessIcon color="success" fontSize="small" />
+                            : <ErrorIcon color="error" fontSize="small" />}
+                          {result.success ? result.shortLink : describeError(result.code, result.message)}
+                        </Box>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </TableContainer>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BulkShortener;
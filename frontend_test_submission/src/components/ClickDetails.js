@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Alert,
+  Chip,
+  CircularProgress,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow
+} from '@mui/material';
+import { LocationOn as LocationIcon, SmartToy as BotIcon } from '@mui/icons-material';
+import axios from 'axios';
+import { parseApiError } from '../apiErrors';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleString();
+
+// The link list only carries click counts; the individual visits are
+// loaded from the link's statistics when this table is opened.
+const ClickDetails = ({ shortcode, domain = null, includeBots = false, totalClicks }) => {
+  const [clicks, setClicks] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchClicks = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/shorturls/${shortcode}`, {
+          params: { includeBots, domain: domain || undefined }
+        });
+        if (!cancelled) {
+          setClicks(response.data.clicks);
+          setError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError(parseApiError(error, 'Failed to load clicks').message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchClicks();
+    return () => { cancelled = true; };
+  }, [shortcode, domain, includeBots, totalClicks]);
+
+  if (loading && !clicks) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress size={32} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  return (
+    <TableContainer component={Paper} variant="outlined" sx={{ opacity: loading ? 0.6 : 1 }}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell><strong>Timestamp</strong></TableCell>
+            <TableCell><strong>Source</strong></TableCell>
+            <TableCell><strong>Campaign</strong></TableCell>
+            <TableCell><strong>Route</strong></TableCell>
+            <TableCell><strong>Location</strong></TableCell>
+            <TableCell><strong>Client</strong></TableCell>
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {clicks.map((click, clickIndex) => (
+            <TableRow key={clickIndex}>
+              <TableCell>{formatDate(click.timestamp)}</TableCell>
+              <TableCell>
+                <Chip
+                  label={click.source}
+                  size="small"
+                  variant="outlined"
+                />
+              </TableCell>
+              <TableCell>
+                {click.campaign
+                  ? [click.campaign.campaign, click.campaign.source, click.campaign.medium].filter(Boolean).join(' · ')
+                  : '-'}
+              </TableCell>
+              <TableCell>
+                {click.rule
+                  ? `Rule: ${click.rule.name || click.rule.id}`
+                  : click.variant ? `Variant ${click.variant.name}` : '-'}
+              </TableCell>
+              <TableCell>
+                <Box sx={{ display: 'flex', alignItems: 'center' }}>
+                  <LocationIcon sx={{ mr: 0.5, fontSize: 'small' }} />
+                  {click.location}
+                </Box>
+              </TableCell>
+              <TableCell>
+                {click.isBot ? (
+                  <Chip
+                    icon={<BotIcon />}
+                    label={`${click.botName} (${click.botType})`}
+                    size="small"
+                    color="warning"
+                    variant="outlined"
+                  />
+                ) : (
+                  [click.browser, click.os, click.device].filter(Boolean).join(' · ') || 'Unknown'
+                )}
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+};
+
+export default ClickDetails;
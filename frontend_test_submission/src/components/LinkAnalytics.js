@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Grid, Typography, Alert, CircularProgress, Chip, Paper } from '@mui/material';
+import { LineChart } from '@mui/x-charts/LineChart';
+import { PieChart } from '@mui/x-charts/PieChart';
+import { BarChart } from '@mui/x-charts/BarChart';
+import { format } from 'date-fns';
+import axios from 'axios';
+import { parseApiError } from '../apiErrors';
+
+const BUCKET_FORMATS = {
+  hour: 'MMM d HH:mm',
+  day: 'MMM d',
+  week: "'Week of' MMM d"
+};
+
+const toPieData = (ranking, key) => ranking.map((entry, index) => ({
+  id: index,
+  value: entry.clicks,
+  label: entry[key]
+}));
+
+const ChartPanel = ({ title, children, empty }) => (
+  <Paper variant="outlined" sx={{ p: 2, height: '100%' }}>
+    <Typography variant="subtitle2" gutterBottom>{title}</Typography>
+    {empty ? (
+      <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
+        No data in this range
+      </Typography>
+    ) : children}
+  </Paper>
+);
+
+const LinkAnalytics = ({ shortcode, domain = null, from, to, interval, includeBots = false }) => {
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const fetchAnalytics = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/shorturls/${shortcode}/analytics`, {
+          params: { from: from.toISOString(), to: to.toISOString(), interval, includeBots, domain: domain || undefined }
+        });
+        if (!cancelled) {
+          setAnalytics(response.data);
+          setError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError(parseApiError(error, 'Failed to load analytics').message);
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+    return () => { cancelled = true; };
+  }, [shortcode, domain, from, to, interval, includeBots]);
+
+  if (loading && !analytics) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+        <CircularProgress size={32} />
+      </Box>
+    );
+  }
+
+  if (error) {
+    return <Alert severity="error">{error}</Alert>;
+  }
+
+  const empty = analytics.totalClicks === 0;
+
+  return (
+    <Box sx={{ opacity: loading ? 0.6 : 1 }}>
+      <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+        <Chip label={`${analytics.totalClicks} clicks in range`} color="primary" size="small" />
+        <Chip label={`${analytics.uniqueVisitors} unique visitors`} size="small" variant="outlined" />
+        {analytics.botClicks > 0 && (
+          <Chip
+            label={`${analytics.botClicks} bot hits ${includeBots ? 'included' : 'excluded'}`}
+            size="small"
+            variant="outlined"
+            color="warning"
+          />
+        )}
+      </Box>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12}>
+          <ChartPanel title="Clicks over time" empty={empty}>
+            <LineChart
+              height={260}
+              xAxis={[{
+                data: analytics.timeSeries.map(point => new Date(point.bucket)),
+                scaleType: 'time',
+                valueFormatter: (date) => format(date, BUCKET_FORMATS[analytics.interval])
+              }]}
+              series={[
+                { data: analytics.timeSeries.map(point => point.clicks), label: 'Clicks', area: true },
+                { data: analytics.timeSeries.map(point => point.uniqueVisitors), label: 'Unique visitors' }
+              ]}
+            />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ChartPanel title="Sources" empty={empty}>
+            <PieChart height={220} series={[{ data: toPieData(analytics.topReferrers, 'referrer'), innerRadius: 40 }]} />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ChartPanel title="Locations" empty={empty}>
+            <BarChart
+              height={220}
+              xAxis={[{ scaleType: 'band', data: analytics.locations.map(entry => entry.location) }]}
+              series={[{ data: analytics.locations.map(entry => entry.clicks), label: 'Clicks' }]}
+            />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ChartPanel title="Devices" empty={empty}>
+            <PieChart height={200} series={[{ data: toPieData(analytics.devices, 'device') }]} />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ChartPanel title="Operating systems" empty={empty}>
+            <PieChart height={200} series={[{ data: toPieData(analytics.operatingSystems, 'os') }]} />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ChartPanel title="Campaigns" empty={empty}>
+            <BarChart
+              height={220}
+              xAxis={[{ scaleType: 'band', data: analytics.campaigns.map(entry => entry.campaign) }]}
+              series={[{ data: analytics.campaigns.map(entry => entry.clicks), label: 'Clicks' }]}
+            />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <ChartPanel title="Campaign source / medium" empty={empty || analytics.campaignSources.length === 0}>
+            <PieChart height={220} series={[{ data: toPieData(analytics.campaignSources, 'sourceMedium') }]} />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12}>
+          <ChartPanel title="Routing rules" empty={empty}>
+            <BarChart
+              height={200}
+              xAxis={[{ scaleType: 'band', data: analytics.rules.map(entry => entry.rule) }]}
+              series={[{ data: analytics.rules.map(entry => entry.clicks), label: 'Clicks' }]}
+            />
+          </ChartPanel>
+        </Grid>
+        <Grid item xs={12}>
+          <ChartPanel title="Browsers" empty={empty}>
+            <BarChart
+              height={200}
+              xAxis={[{ scaleType: 'band', data: analytics.browsers.map(entry => entry.browser) }]}
+              series={[{ data: analytics.browsers.map(entry => entry.clicks), label: 'Clicks' }]}
+            />
+          </ChartPanel>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+export default LinkAnalytics;
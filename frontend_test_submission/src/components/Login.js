@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import {
+  Box, Card, CardContent, Typography, TextField, Button, Alert, Tabs, Tab
+} from '@mui/material';
+import axios from 'axios';
+import { parseApiError } from '../apiErrors';
+
+const Login = ({ onLogin }) => {
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    setFieldErrors({});
+
+    try {
+      const response = await axios.post(`/auth/${mode}`, { username: username.trim(), password });
+      onLogin(response.data);
+    } catch (error) {
+      const { code, message, fields } = parseApiError(error, 'Unable to reach the server');
+      switch (code) {
+        case 'INVALID_USERNAME':
+        case 'INVALID_PASSWORD':
+        case 'USERNAME_TAKEN':
+          setFieldErrors(fields);
+          break;
+        default:
+          setError(message);
+      }
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 6 }}>
+      <Card sx={{ width: '100%', maxWidth: 420 }}>
+        <CardContent>
+          <Tabs value={mode} onChange={(e, value) => { setMode(value); setError(null); setFieldErrors({}); }} sx={{ mb: 2 }} variant="fullWidth">
+            <Tab label="Log In" value="login" />
+            <Tab label="Register" value="register" />
+          </Tabs>
+
+          <Typography variant="h5" gutterBottom align="center">
+            {mode === 'login' ? 'Welcome back' : 'Create an account'}
+          </Typography>
+
+          <Box component="form" onSubmit={handleSubmit}>
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Username"
+              autoComplete="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              error={!!fieldErrors.username}
+              helperText={fieldErrors.username}
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Password"
+              type="password"
+              autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              error={!!fieldErrors.password}
+              helperText={fieldErrors.password || (mode === 'register' ? 'At least 8 characters' : '')}
+            />
+
+            {error && (
+              <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>
+            )}
+
+            <Button
+              fullWidth
+              type="submit"
+              variant="contained"
+              sx={{ mt: 3 }}
+              disabled={loading || !username || !password}
+            >
+              {loading ? 'Please wait...' : mode === 'login' ? 'Log In' : 'Register'}
+            </Button>
+          </Box>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default Login;
@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Button, FormControlLabel, Switch, Typography, CircularProgress } from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import { fetchQRCode, downloadQRCode } from '../qr';
+
+const QRCodePreview = ({ shortcode, domain = null, color = 'inherit' }) => {
+  const [logo, setLogo] = useState(false);
+  const [src, setSrc] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let objectUrl = null;
+
+    setSrc(null);
+    setError(null);
+    fetchQRCode(shortcode, { size: 240, logo, domain })
+      .then(blob => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Failed to load QR code');
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [shortcode, domain, logo]);
+
+  const download = (format) => {
+    downloadQRCode(shortcode, format, { logo, domain }).catch(() => setError(`Failed to download ${format.toUpperCase()}`));
+  };
+
+  return (
+    <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+      <Box
+        sx={{
+          width: 120,
+          height: 120,
+          bgcolor: 'white',
+          borderRadius: 1,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center'
+        }}
+      >
+        {src
+          ? <Box component="img" src={src} alt={`QR code for ${shortcode}`} sx={{ width: 120, height: 120 }} />
+          : !error && <CircularProgress size={24} />}
+      </Box>
+      <Box sx={{ color }}>
+        <FormControlLabel
+          control={<Switch size="small" checked={logo} onChange={(e) => setLogo(e.target.checked)} />}
+          label="Centre logo"
+        />
+        <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+          <Button size="small" variant="outlined" color="inherit" startIcon={<DownloadIcon />} onClick={() => download('png')}>
+            PNG
+          </Button>
+          <Button size="small" variant="outlined" color="inherit" startIcon={<DownloadIcon />} onClick={() => download('svg')}>
+            SVG
+          </Button>
+        </Box>
+        {error && (
+          <Typography variant="body2" sx={{ mt: 1 }}>{error}</Typography>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default QRCodePreview;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   Box,
   Typography,
@@ -17,31 +17,120 @@ import {
   CircularProgress,
   Accordion,
   AccordionSummary,
-  AccordionDetails
+  AccordionDetails,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+  TextField,
+  Snackbar,
+  MenuItem,
+  FormControlLabel,
+  Switch,
+  LinearProgress,
+  Pagination,
+  InputAdornment
 } from '@mui/material';
+import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
+import { subDays, format } from 'date-fns';
 import {
   ExpandMore as ExpandMoreIcon,
   Link as LinkIcon,
   Visibility as VisibilityIcon,
   AccessTime as AccessTimeIcon,
-  LocationOn as LocationIcon
+  Edit as EditIcon,
+  MoreTime as ExtendIcon,
+  PauseCircle as DisableIcon,
+  PlayCircle as EnableIcon,
+  Delete as DeleteIcon,
+  ShowChart as ChartIcon,
+  SmartToy as BotIcon,
+  Lock as LockIcon,
+  QrCode2 as QrCodeIcon,
+  Language as DomainIcon,
+  CallSplit as SplitIcon,
+  Search as SearchIcon,
+  Label as TagIcon,
+  Folder as FolderIcon,
+  Download as DownloadIcon
 } from '@mui/icons-material';
 import axios from 'axios';
+import LinkAnalytics from './LinkAnalytics';
+import ClickDetails from './ClickDetails';
+import { parseApiError } from '../apiErrors';
+import { parseTags, formatTags } from '../tags';
+import { downloadFile } from '../csv';
+import QRCodePreview from './QRCodePreview';
+
+const SUMMARY_TILES = [
+  { key: 'totalLinks', label: 'Total Links' },
+  { key: 'activeLinks', label: 'Active' },
+  { key: 'scheduledLinks', label: 'Scheduled' },
+  { key: 'expiredLinks', label: 'Expired' },
+  { key: 'totalClicks', label: 'Total Clicks' },
+  { key: 'clicksInRange', label: 'Clicks in Range' },
+  { key: 'uniqueVisitors', label: 'Unique Visitors' }
+];
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'active', label: 'Active' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'exhausted', label: 'Click limit reached' },
+  { value: 'disabled', label: 'Disabled' },
+  { value: 'expired', label: 'Expired' }
+];
+
+const SORT_OPTIONS = [
+  { value: 'created:desc', label: 'Newest first' },
+  { value: 'created:asc', label: 'Oldest first' },
+  { value: 'expiry:asc', label: 'Expiring soonest' },
+  { value: 'expiry:desc', label: 'Expiring last' },
+  { value: 'clicks:desc', label: 'Most clicks' },
+  { value: 'clicks:asc', label: 'Fewest clicks' }
+];
+
+const PAGE_SIZE = 10;
 
 const Statistics = () => {
-  const [urls, setUrls] = useState([]);
+  const [listing, setListing] = useState({ items: [], total: 0, totalPages: 1, tags: [], folders: [] });
+  const [filters, setFilters] = useState({ status: 'all', tags: [], folder: '', sort: 'created', order: 'desc' });
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [page, setPage] = useState(1);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [dialog, setDialog] = useState({ type: null, url: null, value: '', folder: '', error: null, fieldError: null, saving: false });
+  const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [range, setRange] = useState(() => ({ from: subDays(new Date(), 7), to: new Date(), interval: 'day' }));
+  const [summary, setSummary] = useState(null);
+  const [includeBots, setIncludeBots] = useState(false);
+  const [exporting, setExporting] = useState(false);
 
-  useEffect(() => {
-    fetchUrls();
-  }, []);
-
-  const fetchUrls = async () => {
+  // The page spinner only shows on first load so the search box keeps focus
+  // while filters change.
+  const fetchUrls = useCallback(async () => {
     try {
-      setLoading(true);
-      const response = await axios.get('/api/urls');
-      setUrls(response.data);
+      const response = await axios.get('/api/urls', {
+        params: {
+          includeBots,
+          page,
+          pageSize: PAGE_SIZE,
+          sort: filters.sort,
+          order: filters.order,
+          q: query || undefined,
+          status: filters.status,
+          tags: filters.tags.join(',') || undefined,
+          folder: filters.folder || undefined
+        }
+      });
+      if (response.data.items.length === 0 && page > response.data.totalPages) {
+        setPage(response.data.totalPages);
+        return;
+      }
+      setListing(response.data);
       setError(null);
     } catch (error) {
       setError('Failed to fetch URL statistics');
@@ -49,6 +138,123 @@ const Statistics = () => {
     } finally {
       setLoading(false);
     }
+  }, [includeBots, page, filters, query]);
+
+  useEffect(() => {
+    fetchUrls();
+  }, [fetchUrls]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const updateFilters = (changes) => {
+    setFilters(current => ({ ...current, ...changes }));
+    setPage(1);
+  };
+
+  const toggleTagFilter = (tag) => {
+    updateFilters({ tags: filters.tags.includes(tag) ? filters.tags.filter(t => t !== tag) : [...filters.tags, tag] });
+  };
+
+  const listFilters = () => ({
+    q: query || undefined,
+    status: filters.status,
+    tags: filters.tags.join(',') || undefined,
+    folder: filters.folder || undefined
+  });
+
+  // Exports cover every link matching the current filters, not just the
+  // page on screen.
+  const exportData = async (type, fileFormat, includeClicks = false) => {
+    setExporting(true);
+    try {
+      const response = await axios.get('/api/export', {
+        params: { type, format: fileFormat, includeBots, includeClicks: includeClicks || undefined, ...listFilters() },
+        responseType: 'blob'
+      });
+      downloadFile(`short-urls-${type}-${format(new Date(), 'yyyy-MM-dd')}.${fileFormat}`, response.data, response.data.type);
+    } catch (error) {
+      setSnackbar({ open: true, message: 'Export failed, please try again', severity: 'error' });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const filtering = !!query || filters.status !== 'all' || filters.tags.length > 0 || !!filters.folder;
+
+  const validRange = !!(range.from && range.to && !isNaN(range.from) && !isNaN(range.to) && range.from < range.to);
+
+  useEffect(() => {
+    if (!validRange) return;
+
+    axios.get('/api/urls/summary', { params: { from: range.from.toISOString(), to: range.to.toISOString() } })
+      .then(response => setSummary(response.data))
+      .catch(error => console.error('Error fetching summary:', error));
+  }, [range, listing, validRange]);
+
+  const openDialog = (type, url) => {
+    const value = type === 'edit' ? url.originalURL : type === 'extend' ? '60' : type === 'organize' ? formatTags(url.tags) : '';
+    setDialog({ type, url, value, folder: url.folder || '', error: null, fieldError: null, saving: false });
+  };
+
+  const closeDialog = () => {
+    setDialog({ type: null, url: null, value: '', folder: '', error: null, fieldError: null, saving: false });
+  };
+
+  // Shortcodes are only unique per domain, so every call names the link's domain.
+  const linkParams = (url) => ({ domain: url.domain || undefined });
+
+  const updateLink = async (url, changes, successMessage) => {
+    await axios.patch(`/shorturls/${url.shortcode}`, changes, { params: linkParams(url) });
+    setSnackbar({ open: true, message: successMessage, severity: 'success' });
+    fetchUrls();
+  };
+
+  const submitDialog = async () => {
+    const { type, url, value } = dialog;
+    setDialog({ ...dialog, saving: true, error: null, fieldError: null });
+
+    try {
+      if (type === 'edit') {
+        await updateLink(url, { url: value.trim() }, 'Destination updated');
+      } else if (type === 'extend') {
+        await updateLink(url, { extendBy: parseInt(value, 10) }, 'Expiry extended');
+      } else if (type === 'organize') {
+        await updateLink(url, { tags: parseTags(value), folder: dialog.folder.trim() || null }, 'Tags and folder updated');
+      } else if (type === 'delete') {
+        await axios.delete(`/shorturls/${url.shortcode}`, { params: linkParams(url) });
+        setSnackbar({ open: true, message: 'Short URL deleted', severity: 'success' });
+        fetchUrls();
+      }
+      closeDialog();
+    } catch (error) {
+      const { code, message, fields } = parseApiError(error, 'Request failed');
+      switch (code) {
+        case 'LINK_NOT_FOUND':
+          closeDialog();
+          setSnackbar({ open: true, message, severity: 'error' });
+          fetchUrls();
+          break;
+        default: {
+          const fieldError = fields.url || fields.extendBy || fields.tags || fields.folder || null;
+          setDialog(current => ({ ...current, saving: false, error: fieldError ? null : message, fieldError }));
+        }
+      }
+    }
+  };
+
+  const toggleActive = async (url) => {
+    try {
+      await updateLink(url, { active: !url.active }, url.active ? 'Short URL disabled' : 'Short URL enabled');
+    } catch (error) {
+      const { message } = parseApiError(error, 'Failed to update short URL');
+      setSnackbar({ open: true, message, severity: 'error' });
+    }
   };
 
   const formatDate = (dateString) => {
@@ -75,7 +281,7 @@ const Statistics = () => {
     );
   }
 
-  if (urls.length === 0) {
+  if (listing.total === 0 && !filtering) {
     return (
       <Box sx={{ textAlign: 'center', mt: 4 }}>
         <Typography variant="h5" color="text.secondary" gutterBottom>
@@ -94,9 +300,166 @@ const Statistics = () => {
         URL Statistics
       </Typography>
 
+      {summary && (
+        <Grid container spacing={2} sx={{ mb: 3 }}>
+          {SUMMARY_TILES.map(tile => (
+            <Grid item xs={6} sm={4} md={2} key={tile.key}>
+              <Paper variant="outlined" sx={{ p: 2, textAlign: 'center' }}>
+                <Typography variant="h5" color="primary">{summary[tile.key]}</Typography>
+                <Typography variant="body2" color="text.secondary">{tile.label}</Typography>
+              </Paper>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap', alignItems: 'center' }}>
+        <DateTimePicker
+          label="From"
+          value={range.from}
+          onChange={(value) => setRange({ ...range, from: value })}
+          maxDateTime={range.to || undefined}
+          slotProps={{ textField: { size: 'small' } }}
+        />
+        <DateTimePicker
+          label="To"
+          value={range.to}
+          onChange={(value) => setRange({ ...range, to: value })}
+          minDateTime={range.from || undefined}
+          slotProps={{ textField: { size: 'small' } }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Group by"
+          value={range.interval}
+          onChange={(e) => setRange({ ...range, interval: e.target.value })}
+          sx={{ minWidth: 120 }}
+        >
+          <MenuItem value="hour">Hour</MenuItem>
+          <MenuItem value="day">Day</MenuItem>
+          <MenuItem value="week">Week</MenuItem>
+        </TextField>
+        <FormControlLabel
+          control={<Switch checked={includeBots} onChange={(e) => setIncludeBots(e.target.checked)} />}
+          label="Include bots"
+        />
+        {!validRange && (
+          <Typography variant="body2" color="error">Choose a start date before the end date</Typography>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 2, mb: 2, flexWrap: 'wrap', alignItems: 'center' }}>
+        <TextField
+          size="small"
+          label="Search"
+          placeholder="Shortcode, destination or tag"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon fontSize="small" />
+              </InputAdornment>
+            )
+          }}
+          sx={{ minWidth: 280 }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Folder"
+          value={filters.folder}
+          onChange={(e) => updateFilters({ folder: e.target.value })}
+          SelectProps={{ displayEmpty: true }}
+          InputLabelProps={{ shrink: true }}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="">All folders</MenuItem>
+          {listing.folders.map(folder => (
+            <MenuItem key={folder} value={folder}>{folder}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Sort by"
+          value={`${filters.sort}:${filters.order}`}
+          onChange={(e) => {
+            const [sort, order] = e.target.value.split(':');
+            updateFilters({ sort, order });
+          }}
+          sx={{ minWidth: 180 }}
+        >
+          {SORT_OPTIONS.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+        <Typography variant="body2" color="text.secondary">
+          {listing.total} {listing.total === 1 ? 'link' : 'links'}
+        </Typography>
+        <Box sx={{ display: 'flex', gap: 1, ml: 'auto', flexWrap: 'wrap' }}>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            disabled={exporting}
+            onClick={() => exportData('links', 'csv')}
+          >
+            Export links (CSV)
+          </Button>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            disabled={exporting}
+            onClick={() => exportData('clicks', 'csv')}
+          >
+            Export clicks (CSV)
+          </Button>
+          <Button
+            size="small"
+            variant="outlined"
+            startIcon={<DownloadIcon />}
+            disabled={exporting}
+            onClick={() => exportData('links', 'ndjson', true)}
+          >
+            Backup (NDJSON)
+          </Button>
+        </Box>
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 3, flexWrap: 'wrap' }}>
+        {STATUS_FILTERS.map(option => (
+          <Chip
+            key={option.value}
+            label={option.label}
+            size="small"
+            color={filters.status === option.value ? 'primary' : 'default'}
+            variant={filters.status === option.value ? 'filled' : 'outlined'}
+            onClick={() => updateFilters({ status: option.value })}
+          />
+        ))}
+        {listing.tags.map(tag => (
+          <Chip
+            key={tag}
+            icon={<TagIcon />}
+            label={tag}
+            size="small"
+            color={filters.tags.includes(tag) ? 'secondary' : 'default'}
+            variant={filters.tags.includes(tag) ? 'filled' : 'outlined'}
+            onClick={() => toggleTagFilter(tag)}
+          />
+        ))}
+      </Box>
+
+      {listing.items.length === 0 && (
+        <Alert severity="info">No links match these filters.</Alert>
+      )}
+
       <Grid container spacing={3}>
-        {urls.map((url, index) => (
-          <Grid item xs={12} key={index}>
+        {listing.items.map(url => (
+          <Grid item xs={12} key={url.shortLink}>
             <Card>
               <CardContent>
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
@@ -105,12 +468,16 @@ const Statistics = () => {
                       <LinkIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
                       {url.shortLink}
                     </Typography>
+
+                    {url.title && (
+                      <Typography variant="subtitle1" sx={{ mb: 0.5 }}>{url.title}</Typography>
+                    )}
                     
                     <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
                       <strong>Original URL:</strong> {url.originalURL}
                     </Typography>
                     
-                    <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+                    <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
                       <Chip
                         icon={<AccessTimeIcon />}
                         label={`Created: ${formatDate(url.createdAt)}`}
@@ -124,21 +491,143 @@ const Statistics = () => {
                         variant="outlined"
                         color={isExpired(url.expiryTime) ? 'error' : 'default'}
                       />
+                      {url.folder && (
+                        <Chip
+                          icon={<FolderIcon />}
+                          label={url.folder}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                      {url.tags.map(tag => (
+                        <Chip
+                          key={tag}
+                          icon={<TagIcon />}
+                          label={tag}
+                          size="small"
+                          variant="outlined"
+                          onClick={() => !filters.tags.includes(tag) && toggleTagFilter(tag)}
+                        />
+                      ))}
+                      {url.domain && (
+                        <Chip
+                          icon={<DomainIcon />}
+                          label={url.domain}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                      <Chip
+                        label={`${url.redirectType} redirect`}
+                        size="small"
+                        variant="outlined"
+                      />
+                      {url.notBefore && (
+                        <Chip
+                          icon={<AccessTimeIcon />}
+                          label={`Starts: ${formatDate(url.notBefore)}`}
+                          size="small"
+                          variant="outlined"
+                          color={url.status === 'scheduled' ? 'info' : 'default'}
+                        />
+                      )}
+                      {url.maxClicks && (
+                        <Chip
+                          label={`${url.remainingClicks} of ${url.maxClicks} clicks left`}
+                          size="small"
+                          variant="outlined"
+                          color={url.status === 'exhausted' ? 'error' : 'default'}
+                        />
+                      )}
+                      {url.forwardQuery && (
+                        <Chip
+                          label="Forwards query"
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                      {url.rules?.length > 0 && (
+                        <Chip
+                          label={`${url.rules.length} routing rule${url.rules.length === 1 ? '' : 's'}`}
+                          title={url.rules.map(rule => `${rule.name || rule.id} → ${rule.url}`).join('\n')}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                      {url.variants?.length > 0 && (
+                        <Chip
+                          icon={<SplitIcon />}
+                          label={`A/B test: ${url.variants.length} variants${url.stickyVariants ? ', sticky' : ''}`}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
+                      {url.protected && (
+                        <Chip
+                          icon={<LockIcon />}
+                          label="Password protected"
+                          size="small"
+                          color="secondary"
+                          variant="outlined"
+                        />
+                      )}
+                      {!url.active && (
+                        <Chip
+                          icon={<DisableIcon />}
+                          label="Disabled"
+                          size="small"
+                          color="warning"
+                        />
+                      )}
                       <Chip
                         icon={<VisibilityIcon />}
                         label={`${url.totalClicks} clicks`}
                         size="small"
                         color="primary"
                       />
+                      {url.botClicks > 0 && (
+                        <Chip
+                          icon={<BotIcon />}
+                          label={`${url.botClicks} bot hits${includeBots ? '' : ' excluded'}`}
+                          size="small"
+                          variant="outlined"
+                        />
+                      )}
                     </Box>
                   </Box>
                 </Box>
 
-                {url.clicks.length > 0 ? (
-                  <Accordion>
+                <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                  <Button size="small" startIcon={<EditIcon />} onClick={() => openDialog('edit', url)}>
+                    Edit
+                  </Button>
+                  <Button size="small" startIcon={<ExtendIcon />} onClick={() => openDialog('extend', url)}>
+                    Extend
+                  </Button>
+                  <Button
+                    size="small"
+                    startIcon={url.active ? <DisableIcon /> : <EnableIcon />}
+                    onClick={() => toggleActive(url)}
+                  >
+                    {url.active ? 'Disable' : 'Enable'}
+                  </Button>
+                  <Button size="small" startIcon={<TagIcon />} onClick={() => openDialog('organize', url)}>
+                    Tags
+                  </Button>
+                  <Button size="small" startIcon={<QrCodeIcon />} onClick={() => openDialog('qr', url)}>
+                    QR Code
+                  </Button>
+                  <Button size="small" color="error" startIcon={<DeleteIcon />} onClick={() => openDialog('delete', url)}>
+                    Delete
+                  </Button>
+                </Box>
+
+                {url.variantStats?.length > 0 && (
+                  <Accordion sx={{ mb: 1 }}>
                     <AccordionSummary expandIcon={<ExpandMoreIcon />}>
                       <Typography variant="subtitle1">
-                        Click Details ({url.clicks.length} clicks)
+                        <SplitIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+                        A/B Variants
                       </Typography>
                     </AccordionSummary>
                     <AccordionDetails>
@@ -146,26 +635,30 @@ const Statistics = () => {
                         <Table size="small">
                           <TableHead>
                             <TableRow>
-                              <TableCell><strong>Timestamp</strong></TableCell>
-                              <TableCell><strong>Source</strong></TableCell>
-                              <TableCell><strong>Location</strong></TableCell>
+                              <TableCell><strong>Variant</strong></TableCell>
+                              <TableCell><strong>Destination</strong></TableCell>
+                              <TableCell align="right"><strong>Weight</strong></TableCell>
+                              <TableCell align="right"><strong>Clicks</strong></TableCell>
+                              <TableCell sx={{ minWidth: 160 }}><strong>Share</strong></TableCell>
                             </TableRow>
                           </TableHead>
                           <TableBody>
-                            {url.clicks.map((click, clickIndex) => (
-                              <TableRow key={clickIndex}>
-                                <TableCell>{formatDate(click.timestamp)}</TableCell>
-                                <TableCell>
-                                  <Chip
-                                    label={click.source}
-                                    size="small"
-                                    variant="outlined"
-                                  />
+                            {url.variantStats.map(variant => (
+                              <TableRow key={variant.id}>
+                                <TableCell>{variant.name}</TableCell>
+                                <TableCell sx={{ wordBreak: 'break-all' }}>{variant.url}</TableCell>
+                                <TableCell align="right">
+                                  {variant.weight} ({variant.expectedShare}%)
                                 </TableCell>
+                                <TableCell align="right">{variant.clicks}</TableCell>
                                 <TableCell>
-                                  <Box sx={{ display: 'flex', alignItems: 'center' }}>
-                                    <LocationIcon sx={{ mr: 0.5, fontSize: 'small' }} />
-                                    {click.location}
+                                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                    <LinearProgress
+                                      variant="determinate"
+                                      value={variant.share}
+                                      sx={{ flexGrow: 1, height: 8, borderRadius: 1 }}
+                                    />
+                                    <Typography variant="body2">{variant.share}%</Typography>
                                   </Box>
                                 </TableCell>
                               </TableRow>
@@ -175,6 +668,47 @@ const Statistics = () => {
                       </TableContainer>
                     </AccordionDetails>
                   </Accordion>
+                )}
+
+                <Accordion TransitionProps={{ unmountOnExit: true }} sx={{ mb: 1 }}>
+                  <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                    <Typography variant="subtitle1">
+                      <ChartIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+                      Analytics
+                    </Typography>
+                  </AccordionSummary>
+                  <AccordionDetails>
+                    {validRange ? (
+                      <LinkAnalytics
+                        shortcode={url.shortcode}
+                        domain={url.domain}
+                        from={range.from}
+                        to={range.to}
+                        interval={range.interval}
+                        includeBots={includeBots}
+                      />
+                    ) : (
+                      <Alert severity="warning">Select a valid date range to view analytics</Alert>
+                    )}
+                  </AccordionDetails>
+                </Accordion>
+
+                {url.totalClicks > 0 ? (
+                  <Accordion TransitionProps={{ unmountOnExit: true }}>
+                    <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                      <Typography variant="subtitle1">
+                        Click Details ({url.totalClicks} clicks)
+                      </Typography>
+                    </AccordionSummary>
+                    <AccordionDetails>
+                      <ClickDetails
+                        shortcode={url.shortcode}
+                        domain={url.domain}
+                        includeBots={includeBots}
+                        totalClicks={url.totalClicks}
+                      />
+                    </AccordionDetails>
+                  </Accordion>
                 ) : (
                   <Typography variant="body2" color="text.secondary" sx={{ fontStyle: 'italic' }}>
                     No clicks recorded yet
@@ -186,12 +720,122 @@ const Statistics = () => {
         ))}
       </Grid>
 
+      {listing.totalPages > 1 && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Pagination count={listing.totalPages} page={page} onChange={(e, value) => setPage(value)} color="primary" />
+        </Box>
+      )}
+
       <Box sx={{ mt: 4, textAlign: 'center' }}>
         <Typography variant="body2" color="text.secondary">
-          Total URLs: {urls.length} | 
-          Total Clicks: {urls.reduce((sum, url) => sum + url.totalClicks, 0)}
+          Matching URLs: {listing.total} | 
+          Page {page} of {listing.totalPages}
         </Typography>
       </Box>
+
+      <Dialog open={!!dialog.type} onClose={closeDialog} fullWidth maxWidth="sm">
+        <DialogTitle>
+          {dialog.type === 'edit' && 'Edit Destination'}
+          {dialog.type === 'extend' && 'Extend Expiry'}
+          {dialog.type === 'organize' && 'Tags and Folder'}
+          {dialog.type === 'delete' && 'Delete Short URL'}
+          {dialog.type === 'qr' && 'QR Code'}
+        </DialogTitle>
+        <DialogContent>
+          {dialog.type === 'edit' && (
+            <TextField
+              autoFocus
+              fullWidth
+              margin="dense"
+              label="Original URL"
+              value={dialog.value}
+              onChange={(e) => setDialog({ ...dialog, value: e.target.value, fieldError: null })}
+              error={!!dialog.fieldError}
+              helperText={dialog.fieldError}
+            />
+          )}
+          {dialog.type === 'extend' && (
+            <>
+              <DialogContentText>
+                Current expiry: {dialog.url && formatDate(dialog.url.expiryTime)}
+              </DialogContentText>
+              <TextField
+                autoFocus
+                fullWidth
+                margin="dense"
+                label="Extend by (minutes)"
+                type="number"
+                value={dialog.value}
+                onChange={(e) => setDialog({ ...dialog, value: e.target.value, fieldError: null })}
+                error={!!dialog.fieldError}
+                helperText={dialog.fieldError}
+              />
+            </>
+          )}
+          {dialog.type === 'organize' && (
+            <>
+              <TextField
+                autoFocus
+                fullWidth
+                margin="dense"
+                label="Tags"
+                placeholder="spring, newsletter"
+                value={dialog.value}
+                onChange={(e) => setDialog({ ...dialog, value: e.target.value, fieldError: null })}
+                error={!!dialog.fieldError}
+                helperText={dialog.fieldError || 'Separate tags with commas'}
+              />
+              <TextField
+                fullWidth
+                margin="dense"
+                label="Folder"
+                value={dialog.folder}
+                onChange={(e) => setDialog({ ...dialog, folder: e.target.value, fieldError: null })}
+                inputProps={{ maxLength: 64 }}
+              />
+            </>
+          )}
+          {dialog.type === 'delete' && (
+            <DialogContentText>
+              Permanently delete {dialog.url && dialog.url.shortLink} and its click history?
+            </DialogContentText>
+          )}
+          {dialog.type === 'qr' && dialog.url && (
+            <>
+              <DialogContentText sx={{ mb: 2 }}>
+                Scans to {dialog.url.shortLink}
+              </DialogContentText>
+              <QRCodePreview shortcode={dialog.url.shortcode} domain={dialog.url.domain} color="text.primary" />
+            </>
+          )}
+          {dialog.error && (
+            <Alert severity="error" sx={{ mt: 2 }}>{dialog.error}</Alert>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>{dialog.type === 'qr' ? 'Close' : 'Cancel'}</Button>
+          {dialog.type !== 'qr' && (
+            <Button
+              onClick={submitDialog}
+              disabled={dialog.saving}
+              color={dialog.type === 'delete' ? 'error' : 'primary'}
+              variant="contained"
+            >
+              {dialog.type === 'delete' ? 'Delete' : 'Save'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbar.open}
+        autoHideDuration={6000}
+        onClose={() => setSnackbar({ ...snackbar, open: false })}
+      >
+        <Alert onClose={() => setSnackbar({ ...snackbar, open: false })} severity={snackbar.severity}>
+          {snackbar.message}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
@@ -1,13 +1,71 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
-  Box, Card, CardContent, Typography, TextField, Button, Grid, Alert, Snackbar, IconButton
+  Box, Card, CardContent, Typography, TextField, Button, Grid, Alert, Snackbar, IconButton, Tabs, Tab, MenuItem,
+  FormControlLabel, Switch, Chip, Accordion, AccordionSummary, AccordionDetails
 } from '@mui/material';
-import { Add as AddIcon, Delete as DeleteIcon, ContentCopy as CopyIcon } from '@mui/icons-material';
+import {
+  Add as AddIcon, Delete as DeleteIcon, ContentCopy as CopyIcon, ExpandMore as ExpandMoreIcon
+} from '@mui/icons-material';
+import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
 import axios from 'axios';
+import { parseApiError } from '../apiErrors';
+import { UTM_FIELDS, applyUtm } from '../utm';
+import { parseTags } from '../tags';
+import QRCodePreview from './QRCodePreview';
+import BulkShortener from './BulkShortener';
+
+const REDIRECT_TYPES = [
+  { value: 302, label: '302 Temporary (tracks every click)' },
+  { value: 307, label: '307 Temporary (preserves request method)' },
+  { value: 301, label: '301 Permanent (cached by browsers)' }
+];
+
+const AVAILABILITY_DELAY_MS = 400;
+
+const AVAILABILITY_MESSAGES = {
+  invalid: 'Use 3-20 letters or digits, optionally joined by "-" or "_"',
+  reserved: 'This word is reserved by the app',
+  taken: 'Already taken on this domain'
+};
+
+const createRow = (id) => ({
+  id,
+  url: '',
+  validity: '',
+  title: '',
+  autoSlug: false,
+  tags: '',
+  folder: '',
+  shortcode: '',
+  availability: null,
+  redirectType: 302,
+  domain: '',
+  password: '',
+  notBefore: null,
+  expiresAt: null,
+  maxClicks: '',
+  forwardQuery: false,
+  utmSource: '',
+  utmMedium: '',
+  utmCampaign: '',
+  loading: false,
+  result: null,
+  error: null,
+  fieldErrors: {}
+});
 
 const URLShortener = () => {
-  const [urls, setUrls] = useState([{ id: 1, url: '', validity: '', shortcode: '', loading: false, result: null, error: null }]);
+  const [urls, setUrls] = useState([createRow(1)]);
   const [snackbar, setSnackbar] = useState({ open: false, message: '', severity: 'success' });
+  const [mode, setMode] = useState('single');
+  const [domains, setDomains] = useState({ default: '', domains: [] });
+  const availabilityTimers = useRef({});
+
+  useEffect(() => {
+    axios.get('/api/domains')
+      .then(response => setDomains(response.data))
+      .catch(() => setDomains({ default: '', domains: [] }));
+  }, []);
 
   const validateURL = (url) => {
     try {
@@ -24,44 +82,114 @@ const URLShortener = () => {
       return;
     }
     const newId = Math.max(...urls.map(u => u.id)) + 1;
-    setUrls([...urls, { id: newId, url: '', validity: '', shortcode: '', loading: false, result: null, error: null }]);
+    setUrls([...urls, createRow(newId)]);
   };
 
   const removeUrl = (id) => {
     if (urls.length === 1) return;
+    clearTimeout(availabilityTimers.current[id]);
     setUrls(urls.filter(u => u.id !== id));
   };
 
   const updateUrl = (id, field, value) => {
-    setUrls(urls.map(u => u.id === id ? { ...u, [field]: value, error: null, result: null } : u));
+    setUrls(urls.map(u => u.id === id
+      ? { ...u, [field]: value, error: null, result: null, fieldErrors: { ...u.fieldErrors, [field]: null } }
+      : u));
+  };
+
+  // Availability answers arrive after later keystrokes, so they are applied
+  // to the latest state and dropped if the code has changed since.
+  const checkAvailability = (id, shortcode, domain) => {
+    clearTimeout(availabilityTimers.current[id]);
+    if (!shortcode) return;
+
+    availabilityTimers.current[id] = setTimeout(async () => {
+      try {
+        const response = await axios.get(`/shorturls/availability/${encodeURIComponent(shortcode)}`, {
+          params: { domain: domain || undefined }
+        });
+        setUrls(current => current.map(u => u.id === id && u.shortcode === shortcode && u.domain === domain
+          ? { ...u, availability: response.data }
+          : u));
+      } catch {
+        // Availability is only a hint; the create request reports real errors.
+      }
+    }, AVAILABILITY_DELAY_MS);
+  };
+
+  const updateShortcode = (urlData, field, value) => {
+    const next = { ...urlData, [field]: value };
+    setUrls(urls.map(u => u.id === urlData.id
+      ? { ...next, availability: null, error: null, result: null, fieldErrors: { ...u.fieldErrors, [field]: null, shortcode: null } }
+      : u));
+    checkAvailability(urlData.id, next.shortcode.trim(), next.domain);
+  };
+
+  const availabilityText = (urlData) => {
+    const { availability } = urlData;
+    if (!availability || availability.shortcode !== urlData.shortcode.trim()) return '';
+    return availability.available ? 'Available' : AVAILABILITY_MESSAGES[availability.reason];
   };
 
   const shortenUrl = async (urlData) => {
+    const setFieldError = (field, message) => {
+      setUrls(urls.map(u => u.id === urlData.id ? { ...u, fieldErrors: { ...u.fieldErrors, [field]: message } } : u));
+    };
+
     if (!urlData.url.trim() || !validateURL(urlData.url)) {
-      setUrls(urls.map(u => u.id === urlData.id ? { ...u, error: 'Please enter a valid URL' } : u));
+      setFieldError('url', 'Please enter a valid URL');
+      return;
+    }
+
+    const invalidDate = [urlData.notBefore, urlData.expiresAt].some(date => date && isNaN(date));
+    if (invalidDate || (urlData.notBefore && urlData.expiresAt && urlData.notBefore >= urlData.expiresAt)) {
+      setFieldError('notBefore', 'Please choose a start time before the end time');
       return;
     }
 
-    setUrls(urls.map(u => u.id === urlData.id ? { ...u, loading: true, error: null } : u));
+    setUrls(urls.map(u => u.id === urlData.id ? { ...u, loading: true, error: null, fieldErrors: {} } : u));
 
     try {
       const payload = {
-        url: urlData.url.trim(),
-        validity: urlData.validity ? parseInt(urlData.validity) : undefined,
-        shortcode: urlData.shortcode || undefined
+        url: applyUtm(urlData.url.trim(), urlData),
+        // An explicit end time replaces the validity period.
+        validity: urlData.validity && !urlData.expiresAt ? parseInt(urlData.validity) : undefined,
+        title: urlData.title.trim() || undefined,
+        autoSlug: urlData.autoSlug || undefined,
+        shortcode: urlData.autoSlug ? undefined : urlData.shortcode.trim() || undefined,
+        redirectType: urlData.redirectType,
+        domain: urlData.domain || undefined,
+        password: urlData.password || undefined,
+        notBefore: urlData.notBefore ? urlData.notBefore.toISOString() : undefined,
+        expiresAt: urlData.expiresAt ? urlData.expiresAt.toISOString() : undefined,
+        maxClicks: urlData.maxClicks ? parseInt(urlData.maxClicks, 10) : undefined,
+        forwardQuery: urlData.forwardQuery || undefined,
+        tags: parseTags(urlData.tags).length > 0 ? parseTags(urlData.tags) : undefined,
+        folder: urlData.folder.trim() || undefined
       };
 
       const response = await axios.post('/shorturls', payload);
       
       setUrls(urls.map(u => u.id === urlData.id ? { ...u, loading: false, result: response.data, error: null } : u));
-      setSnackbar({ open: true, message: 'URL shortened successfully!', severity: 'success' });
+      setSnackbar({
+        open: true,
+        message: response.data.existing ? 'You already have a short URL for this address' : 'URL shortened successfully!',
+        severity: response.data.existing ? 'info' : 'success'
+      });
 
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Failed to shorten URL';
-      setUrls(urls.map(u => u.id === urlData.id ? { ...u, loading: false, error: errorMessage } : u));
+      const { message, fields } = parseApiError(error, 'Failed to shorten URL');
+      const hasFieldErrors = Object.keys(fields).length > 0;
+      setUrls(urls.map(u => u.id === urlData.id
+        ? { ...u, loading: false, error: hasFieldErrors ? null : message, fieldErrors: fields }
+        : u));
     }
   };
 
+  const notify = (message, severity = 'success') => {
+    setSnackbar({ open: true, message, severity });
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     setSnackbar({ open: true, message: 'Copied to clipboard!', severity: 'success' });
@@ -73,7 +201,14 @@ const URLShortener = () => {
         URL Shortener
       </Typography>
 
-      {urls.map((urlData, index) => (
+      <Tabs value={mode} onChange={(e, value) => setMode(value)} centered sx={{ mb: 3 }}>
+        <Tab label="Single URLs" value="single" />
+        <Tab label="Bulk Import" value="bulk" />
+      </Tabs>
+
+      {mode === 'bulk' && <BulkShortener onNotify={notify} />}
+
+      {mode === 'single' && urls.map((urlData, index) => (
         <Card key={urlData.id} sx={{ mb: 3 }}>
           <CardContent>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
@@ -93,7 +228,8 @@ const URLShortener = () => {
                   value={urlData.url}
                   onChange={(e) => updateUrl(urlData.id, 'url', e.target.value)}
                   placeholder="https://example.com/very-long-url"
-                  error={!!urlData.error}
+                  error={!!urlData.fieldErrors.url}
+                  helperText={urlData.fieldErrors.url}
                 />
               </Grid>
               <Grid item xs={12} md={3}>
@@ -104,17 +240,211 @@ const URLShortener = () => {
                   value={urlData.validity}
                   onChange={(e) => updateUrl(urlData.id, 'validity', e.target.value)}
                   placeholder="30"
+                  disabled={!!urlData.expiresAt}
+                  error={!!urlData.fieldErrors.validity}
+                  helperText={urlData.fieldErrors.validity || (urlData.expiresAt ? 'Using end time below' : '')}
                 />
               </Grid>
               <Grid item xs={12} md={3}>
                 <TextField
                   fullWidth
                   label="Custom Shortcode"
-                  value={urlData.shortcode}
-                  onChange={(e) => updateUrl(urlData.id, 'shortcode', e.target.value)}
-                  placeholder="mycode123"
+                  value={urlData.autoSlug ? '' : urlData.shortcode}
+                  onChange={(e) => updateShortcode(urlData, 'shortcode', e.target.value)}
+                  placeholder={urlData.autoSlug ? 'From title' : 'summer-sale'}
+                  disabled={urlData.autoSlug}
+                  error={!!urlData.fieldErrors.shortcode || urlData.availability?.available === false}
+                  helperText={urlData.fieldErrors.shortcode || (!urlData.autoSlug && availabilityText(urlData))}
+                />
+                {!urlData.autoSlug && urlData.availability?.suggestions?.length > 0 && (
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap', mt: 1 }}>
+                    {urlData.availability.suggestions.map(suggestion => (
+                      <Chip
+                        key={suggestion}
+                        label={suggestion}
+                        size="small"
+                        variant="outlined"
+                        onClick={() => updateShortcode(urlData, 'shortcode', suggestion)}
+                      />
+                    ))}
+                  </Box>
+                )}
+              </Grid>
+              <Grid item xs={12} md={8}>
+                <TextField
+                  fullWidth
+                  label="Title (optional)"
+                  value={urlData.title}
+                  onChange={(e) => updateUrl(urlData.id, 'title', e.target.value)}
+                  placeholder="Summer Sale 2024"
+                  inputProps={{ maxLength: 200 }}
+                  error={!!urlData.fieldErrors.title}
+                  helperText={urlData.fieldErrors.title}
+                />
+              </Grid>
+              <Grid item xs={12} md={4} sx={{ display: 'flex', alignItems: 'center' }}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={urlData.autoSlug}
+                      onChange={(e) => updateUrl(urlData.id, 'autoSlug', e.target.checked)}
+                    />
+                  }
+                  label="Build shortcode from title"
+                />
+              </Grid>
+              <Grid item xs={12} md={8}>
+                <TextField
+                  fullWidth
+                  label="Tags (optional)"
+                  value={urlData.tags}
+                  onChange={(e) => updateUrl(urlData.id, 'tags', e.target.value)}
+                  placeholder="spring, newsletter"
+                  error={!!urlData.fieldErrors.tags}
+                  helperText={urlData.fieldErrors.tags || 'Separate tags with commas'}
                 />
               </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  label="Folder (optional)"
+                  value={urlData.folder}
+                  onChange={(e) => updateUrl(urlData.id, 'folder', e.target.value)}
+                  placeholder="Marketing"
+                  inputProps={{ maxLength: 64 }}
+                  error={!!urlData.fieldErrors.folder}
+                  helperText={urlData.fieldErrors.folder}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Domain"
+                  value={urlData.domain}
+                  onChange={(e) => updateShortcode(urlData, 'domain', e.target.value)}
+                  error={!!urlData.fieldErrors.domain}
+                  helperText={urlData.fieldErrors.domain}
+                  SelectProps={{ displayEmpty: true }}
+                  InputLabelProps={{ shrink: true }}
+                >
+                  <MenuItem value="">{domains.default || 'Default domain'}</MenuItem>
+                  {domains.domains.map(hostname => (
+                    <MenuItem key={hostname} value={hostname}>{hostname}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Redirect Type"
+                  value={urlData.redirectType}
+                  onChange={(e) => updateUrl(urlData.id, 'redirectType', e.target.value)}
+                  error={!!urlData.fieldErrors.redirectType}
+                  helperText={urlData.fieldErrors.redirectType}
+                >
+                  {REDIRECT_TYPES.map(type => (
+                    <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                  ))}
+                </TextField>
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  label="Password (optional)"
+                  type="password"
+                  autoComplete="new-password"
+                  value={urlData.password}
+                  onChange={(e) => updateUrl(urlData.id, 'password', e.target.value)}
+                  error={!!urlData.fieldErrors.password}
+                  helperText={urlData.fieldErrors.password || 'Visitors must enter it before being redirected'}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <DateTimePicker
+                  label="Starts at (optional)"
+                  value={urlData.notBefore}
+                  onChange={(value) => updateUrl(urlData.id, 'notBefore', value)}
+                  disablePast
+                  slotProps={{
+                    textField: {
+                      fullWidth: true,
+                      error: !!urlData.fieldErrors.notBefore,
+                      helperText: urlData.fieldErrors.notBefore || 'Link stays inactive until then'
+                    },
+                    actionBar: { actions: ['clear', 'accept'] }
+                  }}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <DateTimePicker
+                  label="Ends at (optional)"
+                  value={urlData.expiresAt}
+                  onChange={(value) => updateUrl(urlData.id, 'expiresAt', value)}
+                  disablePast
+                  minDateTime={urlData.notBefore || undefined}
+                  slotProps={{
+                    textField: {
+                      fullWidth: true,
+                      error: !!urlData.fieldErrors.expiresAt,
+                      helperText: urlData.fieldErrors.expiresAt || 'Overrides the validity minutes'
+                    },
+                    actionBar: { actions: ['clear', 'accept'] }
+                  }}
+                />
+              </Grid>
+              <Grid item xs={12} md={4}>
+                <TextField
+                  fullWidth
+                  label="Max clicks (optional)"
+                  type="number"
+                  value={urlData.maxClicks}
+                  onChange={(e) => updateUrl(urlData.id, 'maxClicks', e.target.value)}
+                  inputProps={{ min: 1 }}
+                  error={!!urlData.fieldErrors.maxClicks}
+                  helperText={urlData.fieldErrors.maxClicks || 'Use 1 for a one-time link'}
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={urlData.forwardQuery}
+                      onChange={(e) => updateUrl(urlData.id, 'forwardQuery', e.target.checked)}
+                    />
+                  }
+                  label="Forward query parameters (e.g. ?ref=...) to the destination"
+                />
+              </Grid>
+              <Grid item xs={12}>
+                <Accordion variant="outlined" disableGutters>
+                  <AccordionSummary expandIcon={<ExpandMoreIcon />}>
+                    <Typography variant="subtitle2">Campaign tracking (UTM)</Typography>
+                  </AccordionSummary>
+                  <AccordionDetails>
+                    <Grid container spacing={2}>
+                      {UTM_FIELDS.map(field => (
+                        <Grid item xs={12} md={4} key={field.key}>
+                          <TextField
+                            fullWidth
+                            size="small"
+                            label={field.label}
+                            value={urlData[field.key]}
+                            onChange={(e) => updateUrl(urlData.id, field.key, e.target.value)}
+                            placeholder={field.placeholder}
+                          />
+                        </Grid>
+                      ))}
+                    </Grid>
+                    {applyUtm(urlData.url.trim(), urlData) !== urlData.url.trim() && (
+                      <Typography variant="body2" color="text.secondary" sx={{ mt: 1, wordBreak: 'break-all' }}>
+                        Destination: {applyUtm(urlData.url.trim(), urlData)}
+                      </Typography>
+                    )}
+                  </AccordionDetails>
+                </Accordion>
+              </Grid>
             </Grid>
 
             <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end' }}>
@@ -144,25 +474,50 @@ const URLShortener = () => {
                     <CopyIcon />
                   </IconButton>
                 </Box>
+                {urlData.result.title && (
+                  <Typography variant="body2" color="white">
+                    <strong>Title:</strong> {urlData.result.title}
+                  </Typography>
+                )}
                 <Typography variant="body2" color="white">
                   <strong>Expires:</strong> {new Date(urlData.result.expiry).toLocaleString()}
                 </Typography>
+                {urlData.result.notBefore && (
+                  <Typography variant="body2" color="white">
+                    <strong>Starts:</strong> {new Date(urlData.result.notBefore).toLocaleString()}
+                  </Typography>
+                )}
+                {urlData.result.maxClicks && (
+                  <Typography variant="body2" color="white">
+                    <strong>Click limit:</strong> {urlData.result.maxClicks}
+                  </Typography>
+                )}
+                {urlData.result.protected && (
+                  <Typography variant="body2" color="white">
+                    <strong>Password protected</strong>
+                  </Typography>
+                )}
+                <Box sx={{ mt: 2 }}>
+                  <QRCodePreview shortcode={urlData.result.shortcode} domain={urlData.result.domain} color="white" />
+                </Box>
               </Box>
             )}
           </CardContent>
         </Card>
       ))}
 
-      <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
-        <Button
-          variant="outlined"
-          onClick={addUrl}
-          disabled={urls.length >= 5}
-          startIcon={<AddIcon />}
-        >
-          Add Another URL
-        </Button>
-      </Box>
+      {mode === 'single' && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', mt: 3 }}>
+          <Button
+            variant="outlined"
+            onClick={addUrl}
+            disabled={urls.length >= 5}
+            startIcon={<AddIcon />}
+          >
+            Add Another URL
+          </Button>
+        </Box>
+      )}
 
       <Snackbar
         open={snackbar.open}
@@ -0,0 +1,15 @@
+import axios from 'axios';
+import { downloadFile } from './csv';
+
+export const fetchQRCode = async (shortcode, { format = 'png', size = 512, logo = false, domain = null } = {}) => {
+  const response = await axios.get(`/shorturls/${shortcode}/qr`, {
+    params: { format, size, logo: logo ? 'true' : undefined, domain: domain || undefined },
+    responseType: 'blob'
+  });
+  return response.data;
+};
+
+export const downloadQRCode = async (shortcode, format, options = {}) => {
+  const blob = await fetchQRCode(shortcode, { ...options, format });
+  downloadFile(`${shortcode}-qr.${format}`, blob, blob.type);
+};
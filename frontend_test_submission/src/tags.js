@@ -0,0 +1,5 @@
+// Tags are typed as one comma-separated string and sent as a list; the
+// server lower-cases and de-duplicates them.
+export const parseTags = (text) => text.split(',').map(tag => tag.trim()).filter(Boolean);
+
+export const formatTags = (tags) => (tags || []).join(', ');
@@ -0,0 +1,20 @@
+export const UTM_FIELDS = [
+  { key: 'utmSource', param: 'utm_source', label: 'Source', placeholder: 'newsletter' },
+  { key: 'utmMedium', param: 'utm_medium', label: 'Medium', placeholder: 'email' },
+  { key: 'utmCampaign', param: 'utm_campaign', label: 'Campaign', placeholder: 'spring_sale' }
+];
+
+// Adds the filled-in UTM values to the URL, replacing any it already has.
+// Returns the input unchanged when it is not a valid URL yet.
+export const applyUtm = (url, values) => {
+  const filled = UTM_FIELDS.filter(field => values[field.key]?.trim());
+  if (filled.length === 0) return url;
+
+  try {
+    const parsed = new URL(url);
+    filled.forEach(field => parsed.searchParams.set(field.param, values[field.key].trim()));
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+};
@@ -35,7 +35,8 @@ const logger = winston.createLogger({
   ]
 });
 
-if (process.env.NODE_ENV !== 'production') {
+// Tests run with NODE_ENV=test and keep their output to the test report.
+if (process.env.NODE_ENV !== 'production' && process.env.NODE_ENV !== 'test') {
   logger.add(new winston.transports.Console({
     format: winston.format.combine(
       winston.format.colorize(),
@@ -61,7 +62,7 @@ const loggingMiddleware = (req, res, next) => {
     
     logger.info('Outgoing response', {
       method: req.method,
-      url: req.url,
+      url: req.originalUrl,
       statusCode: res.statusCode,
       duration: `${duration}ms`,
       timestamp: new Date().toISOString()
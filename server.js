@@ -3,28 +3,53 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const { Readable, pipeline } = require('stream');
+const config = require('./config');
 const { loggingMiddleware, logInfo, logError } = require('./logging_middleware/logger');
 const urlService = require('./backend_test_submission/urlService');
+const userService = require('./backend_test_submission/userService');
+const domainService = require('./backend_test_submission/domainService');
+const webhookService = require('./backend_test_submission/webhookService');
+const { requireAuth, requireAdmin } = require('./backend_test_submission/authMiddleware');
+const AttemptLimiter = require('./backend_test_submission/attemptLimiter');
+const { renderUnlockPage } = require('./backend_test_submission/unlockPage');
+const { QRRenderer, parseQROptions } = require('./backend_test_submission/qrCode');
+const { EXPORT_FORMATS, CONTENT_TYPES, serializeExport, parseImport } = require('./backend_test_submission/transfer');
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  toErrorResponse
+} = require('./backend_test_submission/errors');
 
 const app = express();
-const PORT = process.env.PORT || 5000;
+const PORT = config.port;
+
+app.set('trust proxy', config.trustProxy);
 
 app.use(helmet());
 
 app.use(cors({
-  origin: 'http://localhost:3000',
+  origin: config.corsOrigins.includes('*') ? true : config.corsOrigins,
   credentials: true
 }));
 
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, 
-  max: 100, 
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.max,
   message: {
-    error: 'Too many requests from this IP, please try again later.'
+    error: 'Too many requests',
+    code: 'RATE_LIMITED',
+    message: 'Too many requests from this IP, please try again later.',
+    details: []
   }
 });
 app.use(limiter);
 
+// Imports are read as raw text whatever their content type, so an NDJSON
+// file sent as application/json never reaches the JSON parser below.
+app.use(`${config.pathPrefix}/api/import`, express.text({ type: () => true, limit: config.bulk.maxImportBytes }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -38,83 +63,213 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-app.post('/shorturls', async (req, res) => {
+// Everything but the health check is served under the configured path
+// prefix, the same one urlService puts into short links.
+const router = express.Router();
+
+router.post('/auth/register', async (req, res, next) => {
   try {
-    const { url, validity, shortcode } = req.body;
+    const { username, password } = req.body;
 
-    if (!url) {
-      return res.status(400).json({
-        error: 'URL is required',
-        message: 'Please provide a valid URL to shorten'
-      });
+    const session = await userService.register(username, password);
+
+    logInfo('User registered successfully', { userId: session.user.id });
+
+    res.status(201).json(session);
+
+  } catch (error) {
+    logError('Error in POST /auth/register', error, { username: req.body.username });
+
+    next(error);
+  }
+});
+
+router.post('/auth/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body;
+
+    const session = await userService.login(username, password);
+
+    res.status(200).json(session);
+
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/auth/logout', requireAuth, async (req, res) => {
+  await userService.logout(req.authToken);
+  res.status(204).end();
+});
+
+router.get('/auth/me', requireAuth, async (req, res) => {
+  res.status(200).json(userService.toPublicUser(req.user));
+});
+
+router.get('/auth/apikeys', requireAuth, async (req, res) => {
+  res.status(200).json(await userService.listApiKeys(req.user.id));
+});
+
+router.post('/auth/apikeys', requireAuth, async (req, res, next) => {
+  try {
+    const apiKey = await userService.createApiKey(req.user.id, req.body.name);
+
+    res.status(201).json(apiKey);
+
+  } catch (error) {
+    logError('Error in POST /auth/apikeys', error, { userId: req.user.id });
+
+    next(error);
+  }
+});
+
+router.delete('/auth/apikeys/:id', requireAuth, async (req, res, next) => {
+  try {
+    await userService.revokeApiKey(req.user.id, req.params.id);
+
+    res.status(204).end();
+
+  } catch (error) {
+    logError('Error in DELETE /auth/apikeys/:id', error, { userId: req.user.id });
+
+    next(error);
+  }
+});
+
+router.use('/shorturls', requireAuth);
+router.use('/api/urls', requireAuth);
+router.use('/api/domains', requireAuth);
+router.use('/api/export', requireAuth);
+router.use('/api/import', requireAuth);
+router.use('/api/webhooks', requireAuth);
+
+const redactBody = (body = {}) => ({
+  ...body,
+  password: body.password ? '[redacted]' : body.password
+});
+
+// Shortcodes are unique per domain, so management routes take the link's
+// custom domain as ?domain= and leave it out for the default host.
+const linkKey = (req) =>
+  urlService.keyFor(req.params.shortcode, domainService.normalizeHostname(req.query.domain) || null);
+
+// An A/B link may leave out url; its first variant is the default target.
+const isMissingURL = (item) =>
+  !item || (!item.url && !(Array.isArray(item.variants) && item.variants.length > 0));
+
+router.post('/shorturls', async (req, res, next) => {
+  try {
+    const {
+      url, validity, shortcode, redirectType, password, notBefore, expiresAt, maxClicks, domain, title, autoSlug, forwardQuery, rules,
+      variants, stickyVariants, tags, folder
+    } = req.body;
+
+    if (isMissingURL(req.body)) {
+      throw new ValidationError('URL_REQUIRED', 'Please provide a valid URL to shorten', { field: 'url' });
     }
 
-    const result = await urlService.createShortURL(url, validity, shortcode);
+    const result = await urlService.createShortURL(url, validity, shortcode, req.user.id, {
+      redirectType,
+      password,
+      notBefore,
+      expiresAt,
+      maxClicks,
+      domain,
+      title,
+      autoSlug,
+      forwardQuery,
+      rules,
+      variants,
+      stickyVariants,
+      tags,
+      folder
+    });
 
     logInfo('Short URL created successfully', { 
       originalURL: url, 
       shortLink: result.shortLink 
     });
 
-    res.status(201).json(result);
+    res.status(result.existing ? 200 : 201).json(result);
 
   } catch (error) {
-    logError('Error in POST /shorturls', error, { body: req.body });
+    logError('Error in POST /shorturls', error, { body: redactBody(req.body) });
 
-    if (error.message.includes('Invalid URL format')) {
-      return res.status(400).json({
-        error: 'Invalid URL format',
-        message: 'Please provide a valid URL starting with http:// or https://'
-      });
-    }
+    next(error);
+  }
+});
 
-    if (error.message.includes('Validity must be a positive integer')) {
-      return res.status(400).json({
-        error: 'Invalid validity period',
-        message: 'Validity must be a positive integer representing minutes'
-      });
-    }
+router.post('/shorturls/bulk', async (req, res, next) => {
+  try {
+    const items = Array.isArray(req.body) ? req.body : req.body.urls;
 
-    if (error.message.includes('Custom shortcode must be alphanumeric')) {
-      return res.status(400).json({
-        error: 'Invalid custom shortcode',
-        message: 'Custom shortcode must be alphanumeric and 3-20 characters long'
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('URLS_REQUIRED', 'Please provide a non-empty array of { url, validity, shortcode } objects', {
+        field: 'urls'
       });
     }
 
-    if (error.message.includes('Custom shortcode already exists')) {
-      return res.status(409).json({
-        error: 'Shortcode collision',
-        message: 'The provided custom shortcode already exists. Please choose a different one.'
+    if (items.length > config.bulk.maxItems) {
+      throw new ValidationError('TOO_MANY_URLS', `A single bulk request may contain at most ${config.bulk.maxItems} URLs`, {
+        status: 413,
+        field: 'urls'
       });
     }
 
-    if (error.message.includes('Unable to generate unique shortcode')) {
-      return res.status(500).json({
-        error: 'Service temporarily unavailable',
-        message: 'Unable to generate a unique shortcode. Please try again.'
-      });
-    }
+    const outcomes = await urlService.createShortURLs(items, req.user.id);
 
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'An unexpected error occurred while creating the short URL'
+    const results = outcomes.map(({ index, result, error }) => {
+      if (result) {
+        return { index, success: true, ...result };
+      }
+
+      const { status, body } = toErrorResponse(isMissingURL(items[index])
+        ? new ValidationError('URL_REQUIRED', 'Please provide a valid URL to shorten', { field: 'url' })
+        : error);
+      return { index, success: false, status, ...body };
+    });
+
+    const created = results.filter(result => result.success).length;
+
+    logInfo('Bulk short URLs processed', { total: results.length, created, failed: results.length - created });
+
+    res.status(200).json({
+      total: results.length,
+      created,
+      failed: results.length - created,
+      results
     });
+
+  } catch (error) {
+    logError('Error in POST /shorturls/bulk', error);
+
+    next(error);
   }
 });
 
-app.get('/shorturls/:shortcode', async (req, res) => {
+router.get('/shorturls/availability/:code', async (req, res, next) => {
+  try {
+    const availability = await urlService.checkAvailability(req.params.code, req.query.domain || null);
+
+    res.status(200).json(availability);
+
+  } catch (error) {
+    logError('Error in GET /shorturls/availability/:code', error, { code: req.params.code });
+
+    next(error);
+  }
+});
+
+router.get('/shorturls/:shortcode', async (req, res, next) => {
   try {
     const { shortcode } = req.params;
 
-    const statistics = await urlService.getURLStatistics(shortcode);
+    const includeBots = req.query.includeBots === 'true';
+
+    const statistics = await urlService.getURLStatistics(linkKey(req), req.user.id, { includeBots });
 
     if (!statistics) {
-      logError('Statistics not found for shortcode', null, { shortcode });
-      return res.status(404).json({
-        error: 'Short URL not found',
-        message: 'The requested short URL does not exist or has expired'
-      });
+      throw new NotFoundError('LINK_NOT_FOUND', 'The requested short URL does not exist or has expired');
     }
 
     logInfo('Statistics retrieved successfully', { shortcode });
@@ -123,71 +278,640 @@ app.get('/shorturls/:shortcode', async (req, res) => {
 
   } catch (error) {
     logError('Error in GET /shorturls/:shortcode', error, { shortcode: req.params.shortcode });
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'An unexpected error occurred while retrieving statistics'
-    });
+
+    next(error);
   }
 });
 
-app.get('/:shortcode', async (req, res) => {
+router.get('/shorturls/:shortcode/analytics', async (req, res, next) => {
   try {
     const { shortcode } = req.params;
+    const { from, to, interval } = req.query;
+    const includeBots = req.query.includeBots === 'true';
 
-    if (shortcode.includes('.') || shortcode === 'favicon.ico' || shortcode === 'manifest.json') {
-      return res.status(404).json({
-        error: 'Not found',
-        message: 'Static file not found'
-      });
+    const analytics = await urlService.getURLAnalytics(linkKey(req), { from, to, interval, includeBots }, req.user.id);
+
+    if (!analytics) {
+      throw new NotFoundError('LINK_NOT_FOUND', 'The requested short URL does not exist or has expired');
     }
 
-    const urlEntry = await urlService.getURLByShortcode(shortcode);
+    logInfo('Analytics retrieved successfully', { shortcode, interval: analytics.interval });
 
+    res.status(200).json(analytics);
+
+  } catch (error) {
+    logError('Error in GET /shorturls/:shortcode/analytics', error, { shortcode: req.params.shortcode, query: req.query });
+
+    next(error);
+  }
+});
+
+const qrRenderer = new QRRenderer(config.qr.logoPath);
+
+router.get('/shorturls/:shortcode/qr', async (req, res, next) => {
+  try {
+    const { shortcode } = req.params;
+    const options = parseQROptions(req.query);
+
+    const urlEntry = await urlService.findURL(linkKey(req));
+    if (!urlEntry || !urlService.isOwnedBy(urlEntry, req.user.id)) {
+      throw new NotFoundError('LINK_NOT_FOUND', 'The requested short URL does not exist or has expired');
+    }
+
+    const { contentType, body } = await qrRenderer.render(urlService.buildShortLink(shortcode, urlEntry.domain), options);
+
+    logInfo('QR code rendered', { shortcode, ...options });
+
+    res.set({
+      'Content-Type': contentType,
+      'Cache-Control': 'private, max-age=3600'
+    });
+    if (req.query.download === 'true') {
+      res.attachment(`${shortcode}-qr.${options.format}`);
+    }
+    res.send(body);
+
+  } catch (error) {
+    logError('Error in GET /shorturls/:shortcode/qr', error, { shortcode: req.params.shortcode, query: req.query });
+
+    next(error);
+  }
+});
+
+router.patch('/shorturls/:shortcode', async (req, res, next) => {
+  try {
+    const { shortcode } = req.params;
+    const {
+      url, expiryTime, extendBy, active, redirectType, password, notBefore, maxClicks, forwardQuery, rules, variants, stickyVariants,
+      tags, folder
+    } = req.body;
+
+    const result = await urlService.updateURL(linkKey(req), {
+      url,
+      expiryTime,
+      extendBy,
+      active,
+      redirectType,
+      password,
+      notBefore,
+      maxClicks,
+      forwardQuery,
+      rules,
+      variants,
+      stickyVariants,
+      tags,
+      folder
+    }, req.user.id);
+
+    logInfo('Short URL updated successfully', { shortcode });
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    logError('Error in PATCH /shorturls/:shortcode', error, { shortcode: req.params.shortcode, body: redactBody(req.body) });
+
+    next(error);
+  }
+});
+
+router.get('/shorturls/:shortcode/rules', async (req, res, next) => {
+  try {
+    const { shortcode } = req.params;
+
+    const urlEntry = await urlService.findOwnedURL(linkKey(req), req.user.id);
     if (!urlEntry) {
-      logError('Shortcode not found or expired', null, { shortcode });
-      return res.status(404).json({
-        error: 'Short URL not found',
-        message: 'The requested short URL does not exist or has expired'
-      });
+      throw new NotFoundError('LINK_NOT_FOUND', 'The requested short URL does not exist or has expired');
     }
 
-    const referrer = req.get('Referrer') || req.get('referer');
-    const ip = req.ip || req.connection.remoteAddress;
-    await urlService.recordClick(shortcode, referrer, ip);
+    logInfo('Routing rules retrieved', { shortcode });
+
+    res.status(200).json({ rules: urlService.formatEntry(urlEntry).rules });
+
+  } catch (error) {
+    logError('Error in GET /shorturls/:shortcode/rules', error, { shortcode: req.params.shortcode });
+
+    next(error);
+  }
+});
+
+// Replaces the whole rule list; send an empty list to route every visit to
+// the stored URL again.
+router.put('/shorturls/:shortcode/rules', async (req, res, next) => {
+  try {
+    const { shortcode } = req.params;
+    const { rules } = req.body;
+
+    if (rules === undefined) {
+      throw new ValidationError('RULES_REQUIRED', 'Please provide the list of routing rules', { field: 'rules' });
+    }
+
+    const result = await urlService.updateURL(linkKey(req), { rules }, req.user.id);
+
+    logInfo('Routing rules updated', { shortcode, rules: result.rules.length });
+
+    res.status(200).json({ rules: result.rules });
+
+  } catch (error) {
+    logError('Error in PUT /shorturls/:shortcode/rules', error, { shortcode: req.params.shortcode, body: req.body });
+
+    next(error);
+  }
+});
+
+router.delete('/shorturls/:shortcode', async (req, res, next) => {
+  try {
+    const { shortcode } = req.params;
+
+    await urlService.deleteURL(linkKey(req), req.user.id);
+
+    logInfo('Short URL deleted successfully', { shortcode });
+
+    res.status(204).end();
+
+  } catch (error) {
+    logError('Error in DELETE /shorturls/:shortcode', error, { shortcode: req.params.shortcode });
+
+    next(error);
+  }
+});
+
+const UNLOCK_PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; form-action 'self' http: https:; frame-ancestors 'none'";
+
+const linkAttempts = new AttemptLimiter({
+  maxAttempts: config.unlock.maxAttempts * 10,
+  windowMinutes: config.unlock.windowMinutes
+});
+const clientAttempts = new AttemptLimiter(config.unlock);
+
+const clickLimitReached = () =>
+  new GoneError('CLICK_LIMIT_REACHED', 'The requested short URL has reached its maximum number of clicks');
 
-    logInfo('Redirecting to original URL', { 
-      shortcode, 
-      originalURL: urlEntry.originalURL 
+// Requests to a registered custom domain only see that domain's links;
+// every other host serves the default namespace.
+const redirectKey = (req) => urlService.keyFor(req.params.shortcode, domainService.resolveHost(req.hostname));
+
+// Sticky A/B links remember the served variant in a per-link cookie that
+// lives as long as the link does.
+const variantCookieName = (urlEntry) => `sv_${urlEntry.id}`;
+
+const readCookie = (req, name) => {
+  const pair = (req.get('Cookie') || '').split(';')
+    .map(part => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : null;
+};
+
+const findRedirectTarget = async (req) => {
+  const { shortcode } = req.params;
+
+  if (shortcode.includes('.') || shortcode === 'favicon.ico' || shortcode === 'manifest.json') {
+    throw new NotFoundError('NOT_FOUND', 'Static file not found');
+  }
+
+  const urlEntry = await urlService.findURL(redirectKey(req));
+
+  if (!urlEntry) {
+    throw new NotFoundError('LINK_NOT_FOUND', 'The requested short URL does not exist or has expired');
+  }
+
+  const status = urlService.getLinkStatus(urlEntry);
+
+  if (status === 'disabled') {
+    throw new GoneError('LINK_DISABLED', 'The requested short URL has been disabled by its owner');
+  }
+
+  if (status === 'scheduled') {
+    throw new NotFoundError('LINK_NOT_ACTIVE', `The requested short URL becomes available at ${urlEntry.notBefore}`);
+  }
+
+  if (status === 'exhausted') {
+    throw clickLimitReached();
+  }
+
+  return urlEntry;
+};
+
+
+const redirectToTarget = async (req, res, urlEntry, redirectType) => {
+  const { shortcode } = req.params;
+
+  const referrer = req.get('Referrer') || req.get('referer');
+  const ip = req.ip || req.connection.remoteAddress;
+  const userAgent = req.get('User-Agent');
+  const queryString = req.originalUrl.split('?')[1] || '';
+  const previousVariant = urlEntry.stickyVariants ? readCookie(req, variantCookieName(urlEntry)) : null;
+  const recorded = await urlService.recordClick(redirectKey(req), referrer, ip, userAgent, queryString, previousVariant);
+
+  // A null click means the link changed after it was looked up (deleted,
+  // disabled or used up by a concurrent visit), so report its current state.
+  if (!recorded) {
+    await findRedirectTarget(req);
+    throw clickLimitReached();
+  }
+
+  const destination = urlService.resolveDestination(urlEntry, queryString, recorded.rule || recorded.variant);
+
+  if (urlEntry.stickyVariants && recorded.variant) {
+    res.cookie(variantCookieName(urlEntry), recorded.variant.id, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      expires: new Date(urlEntry.expiryTime)
     });
+  }
+
+  logInfo('Redirecting to original URL', { 
+    shortcode, 
+    originalURL: destination,
+    redirectType,
+    rule: recorded.rule ? recorded.rule.id : null,
+    variant: recorded.variant ? recorded.variant.id : null
+  });
+
+  res.set(urlService.getRedirectHeaders(urlEntry));
+  res.redirect(redirectType, destination);
+};
+
+const sendUnlockPage = (res, status, options) => {
+  res.status(status)
+    .set({
+      'Content-Security-Policy': UNLOCK_PAGE_CSP,
+      'Cache-Control': 'no-store'
+    })
+    .type('html')
+    .send(renderUnlockPage(options));
+};
+
+router.get('/:shortcode', async (req, res, next) => {
+  try {
+    const urlEntry = await findRedirectTarget(req);
+
+    if (urlService.isProtected(urlEntry)) {
+      return sendUnlockPage(res, 200, { shortcode: req.params.shortcode });
+    }
+
+    await redirectToTarget(req, res, urlEntry, urlService.getRedirectType(urlEntry));
+
+  } catch (error) {
+    logError('Error in GET /:shortcode', error, { shortcode: req.params.shortcode, host: req.hostname });
 
-    res.redirect(301, urlEntry.originalURL);
+    next(error);
+  }
+});
+
+router.post('/:shortcode', async (req, res, next) => {
+  try {
+    const { shortcode } = req.params;
+    const key = redirectKey(req);
+
+    const urlEntry = await findRedirectTarget(req);
+
+    if (!urlService.isProtected(urlEntry)) {
+      return res.redirect(303, req.originalUrl);
+    }
+
+    const clientKey = `${key}:${req.ip}`;
+    if (linkAttempts.isBlocked(key) || clientAttempts.isBlocked(clientKey)) {
+      const retryAfter = Math.max(linkAttempts.retryAfterSeconds(key), clientAttempts.retryAfterSeconds(clientKey));
+      logInfo('Unlock attempts throttled', { shortcode, ip: req.ip });
+      res.set('Retry-After', String(retryAfter));
+      return sendUnlockPage(res, 429, {
+        shortcode,
+        blocked: true,
+        error: `Too many incorrect attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`
+      });
+    }
+
+    // Attempts are counted before the password is checked, so parallel
+    // guesses cannot all get past the limit while their hashes are computed.
+    linkAttempts.recordFailure(key);
+    clientAttempts.recordFailure(clientKey);
+
+    if (!(await urlService.verifyLinkPassword(urlEntry, req.body.password))) {
+      logInfo('Incorrect password for protected link', { shortcode, ip: req.ip });
+      return sendUnlockPage(res, 401, { shortcode, error: 'Incorrect password. Please try again.' });
+    }
+
+    linkAttempts.forgive(key);
+    clientAttempts.reset(clientKey);
+
+    await redirectToTarget(req, res, urlEntry, 303);
+
+  } catch (error) {
+    logError('Error in POST /:shortcode', error, { shortcode: req.params.shortcode, host: req.hostname });
+
+    next(error);
+  }
+});
+
+router.get('/api/urls/summary', async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    const summary = await urlService.getURLSummary({ from, to }, req.user.id);
+
+    res.status(200).json(summary);
 
   } catch (error) {
-    logError('Error in GET /:shortcode', error, { shortcode: req.params.shortcode });
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'An unexpected error occurred while processing the redirect'
+    logError('Error in GET /api/urls/summary', error, { query: req.query });
+
+    next(error);
+  }
+});
+
+router.get('/api/urls', async (req, res, next) => {
+  try {
+    const { page, pageSize, sort, order, q, status, tags, folder } = req.query;
+    const includeBots = req.query.includeBots === 'true';
+
+    const listing = await urlService.getAllURLs(req.user.id, {
+      includeBots, page, pageSize, sort, order, q, status, tags, folder
     });
+
+    logInfo('URLs listed', { page: listing.page, count: listing.items.length, total: listing.total });
+
+    res.status(200).json(listing);
+
+  } catch (error) {
+    logError('Error in GET /api/urls', error, { query: req.query });
+
+    next(error);
   }
 });
 
-app.get('/api/urls', async (req, res) => {
+// Rows are written as they are produced; a failure after the headers have
+// gone out can only cut the download short, so it is logged, not answered.
+router.get('/api/export', async (req, res, next) => {
   try {
-    const urls = await urlService.getAllURLs();
+    const { type = 'links', format = 'csv', q, status, tags, folder } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new ValidationError('INVALID_FORMAT', `Format must be one of ${EXPORT_FORMATS.join(', ')}`, { field: 'format' });
+    }
 
-    logInfo('All URLs retrieved', { count: urls.length });
+    const records = await urlService.exportRecords(req.user.id, {
+      type,
+      q,
+      status,
+      tags,
+      folder,
+      includeBots: req.query.includeBots === 'true',
+      includeClicks: req.query.includeClicks === 'true'
+    });
+
+    logInfo('Export started', { type, format });
 
-    res.status(200).json(urls);
+    res.status(200).set({
+      'Content-Type': CONTENT_TYPES[format],
+      'Cache-Control': 'no-store'
+    });
+    res.attachment(`short-urls-${type}-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+    pipeline(Readable.from(serializeExport(records, type, format)), res, (error) => {
+      if (error) {
+        logError('Error streaming export', error, { type, format });
+      }
+    });
 
   } catch (error) {
-    logError('Error in GET /api/urls', error);
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'An unexpected error occurred while retrieving URLs'
+    logError('Error in GET /api/export', error, { query: req.query });
+
+    next(error);
+  }
+});
+
+router.post('/api/import', async (req, res, next) => {
+  try {
+    const { format, onConflict } = req.query;
+
+    const rows = parseImport(req.body, format);
+
+    if (rows.length === 0) {
+      throw new ValidationError('IMPORT_REQUIRED', 'The file does not contain any links');
+    }
+
+    if (rows.length > config.bulk.maxImportRows) {
+      throw new ValidationError('TOO_MANY_ROWS', `A single import may contain at most ${config.bulk.maxImportRows} links`, {
+        status: 413
+      });
+    }
+
+    const outcomes = await urlService.importLinks(rows, req.user.id, { onConflict });
+
+    const results = outcomes.map(({ error, ...outcome }) => {
+      if (!error) return outcome;
+
+      const { status, body } = toErrorResponse(error);
+      return { ...outcome, outcome: 'failed', status, ...body };
     });
+
+    const count = (name) => results.filter(result => result.outcome === name).length;
+    const summary = {
+      total: results.length,
+      created: count('created'),
+      overwritten: count('overwritten'),
+      renamed: count('renamed'),
+      skipped: count('skipped'),
+      failed: count('failed')
+    };
+
+    logInfo('Import processed', summary);
+
+    res.status(200).json({ ...summary, results });
+
+  } catch (error) {
+    logError('Error in POST /api/import', error, { query: req.query });
+
+    next(error);
   }
 });
 
+router.get('/api/domains', async (req, res, next) => {
+  try {
+    const domains = await domainService.listHostnames();
+
+    res.status(200).json({ default: domainService.defaultHostname, domains });
+
+  } catch (error) {
+    logError('Error in GET /api/domains', error);
+
+    next(error);
+  }
+});
+
+router.get('/api/webhooks', async (req, res, next) => {
+  try {
+    const webhooks = await webhookService.listSubscriptions(req.user.id);
+
+    res.status(200).json(webhooks);
+
+  } catch (error) {
+    logError('Error in GET /api/webhooks', error);
+
+    next(error);
+  }
+});
+
+router.post('/api/webhooks', async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const webhook = await webhookService.createSubscription(req.user.id, { url, events, description });
+
+    logInfo('Webhook registered', { id: webhook.id, url, userId: req.user.id });
+
+    res.status(201).json(webhook);
+
+  } catch (error) {
+    logError('Error in POST /api/webhooks', error, { url: req.body.url });
+
+    next(error);
+  }
+});
+
+router.delete('/api/webhooks/:id', async (req, res, next) => {
+  try {
+    await webhookService.removeSubscription(req.params.id, req.user.id);
+
+    res.status(204).end();
+
+  } catch (error) {
+    logError('Error in DELETE /api/webhooks/:id', error, { id: req.params.id });
+
+    next(error);
+  }
+});
+
+router.get('/api/webhooks/:id/deliveries', async (req, res, next) => {
+  try {
+    const deliveries = await webhookService.listDeliveries(req.params.id, req.user.id);
+
+    res.status(200).json(deliveries);
+
+  } catch (error) {
+    logError('Error in GET /api/webhooks/:id/deliveries', error, { id: req.params.id });
+
+    next(error);
+  }
+});
+
+router.post('/api/webhooks/:id/test', async (req, res, next) => {
+  try {
+    const delivery = await webhookService.sendTest(req.params.id, req.user.id);
+
+    logInfo('Test webhook sent', { id: req.params.id, status: delivery.status });
+
+    res.status(200).json(delivery);
+
+  } catch (error) {
+    logError('Error in POST /api/webhooks/:id/test', error, { id: req.params.id });
+
+    next(error);
+  }
+});
+
+router.use('/admin', requireAuth, requireAdmin);
+
+router.get('/admin/domains', async (req, res, next) => {
+  try {
+    const domains = await domainService.listDomains();
+
+    res.status(200).json(domains.map(domain => ({ ...domain, links: urlService.countDomainLinks(domain.hostname) })));
+
+  } catch (error) {
+    logError('Error in GET /admin/domains', error);
+
+    next(error);
+  }
+});
+
+router.post('/admin/domains', async (req, res, next) => {
+  try {
+    const domain = await domainService.registerDomain(req.body.hostname, req.user.id);
+
+    logInfo('Custom domain registered', { hostname: domain.hostname, userId: req.user.id });
+
+    res.status(201).json(domain);
+
+  } catch (error) {
+    logError('Error in POST /admin/domains', error, { hostname: req.body.hostname });
+
+    next(error);
+  }
+});
+
+router.delete('/admin/domains/:hostname', async (req, res, next) => {
+  try {
+    const hostname = domainService.normalizeHostname(req.params.hostname);
+
+    const links = urlService.countDomainLinks(hostname);
+    if (links > 0) {
+      throw new ConflictError('DOMAIN_IN_USE', `${links} link(s) still use this domain`, { field: 'hostname' });
+    }
+
+    await domainService.removeDomain(hostname);
+
+    logInfo('Custom domain removed', { hostname, userId: req.user.id });
+
+    res.status(204).end();
+
+  } catch (error) {
+    logError('Error in DELETE /admin/domains/:hostname', error, { hostname: req.params.hostname });
+
+    next(error);
+  }
+});
+
+router.get('/admin/archived', async (req, res, next) => {
+  try {
+    const archived = await urlService.getArchivedURLs(req.query.owner || null);
+
+    logInfo('Archived URLs retrieved', { count: archived.length, userId: req.user.id });
+
+    res.status(200).json(archived);
+
+  } catch (error) {
+    logError('Error in GET /admin/archived', error);
+
+    next(error);
+  }
+});
+
+router.post('/admin/archived/:id/restore', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { shortcode, validity, expiryTime } = req.body;
+
+    const restored = await urlService.restoreURL(id, { shortcode, validity, expiryTime });
+
+    logInfo('Archived URL restored', { id, shortcode: restored.shortcode, userId: req.user.id });
+
+    res.status(200).json(restored);
+
+  } catch (error) {
+    logError('Error in POST /admin/archived/:id/restore', error, { id: req.params.id });
+
+    next(error);
+  }
+});
+
+router.post('/admin/sweep', async (req, res, next) => {
+  try {
+    const result = await urlService.sweep();
+
+    logInfo('Manual expiry sweep triggered', { ...result, userId: req.user.id });
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    logError('Error in POST /admin/sweep', error);
+
+    next(error);
+  }
+});
+
+app.use(config.pathPrefix || '/', router);
+
 if (process.env.NODE_ENV === 'production') {
   app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'client/build/index.html'));
@@ -195,29 +919,33 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 if (process.env.NODE_ENV !== 'production') {
-  app.use('*', (req, res) => {
-    logError('Route not found', null, { url: req.originalUrl });
-    res.status(404).json({
-      error: 'Route not found',
-      message: 'The requested endpoint does not exist'
-    });
+  app.use('*', (req, res, next) => {
+    next(new NotFoundError('ROUTE_NOT_FOUND', 'The requested endpoint does not exist'));
   });
 }
 
+// Every route forwards its errors here; typed service errors carry their
+// own status and code, anything else is reported as a 500.
 app.use((error, req, res, next) => {
-  logError('Unhandled error', error, { url: req.url });
-  res.status(500).json({
-    error: 'Internal server error',
-    message: 'An unexpected error occurred'
-  });
+  const { status, body } = toErrorResponse(error);
+
+  if (status >= 500) {
+    logError('Unhandled error', error, { url: req.originalUrl });
+  }
+
+  res.status(status).json(body);
 });
 
 app.listen(PORT, () => {
   logInfo(`URL Shortener Microservice started`, { 
     port: PORT, 
+    publicBaseUrl: config.publicBaseUrl,
     environment: process.env.NODE_ENV || 'development' 
   });
-  console.log(`🚀 URL Shortener Microservice running on http://localhost:${PORT}`);
+  console.log(`🚀 URL Shortener Microservice running on port ${PORT} (public URL: ${config.publicBaseUrl}${config.pathPrefix})`);
+
+  urlService.startSweeper();
+  webhookService.start();
 });
 
 process.on('SIGTERM', () => {
@@ -225,6 +953,11 @@ process.on('SIGTERM', () => {
   process.exit(0);
 });
 
+process.on('SIGHUP', () => {
+  logInfo('SIGHUP received, reloading destination blocklist');
+  urlService.screener.reloadBlocklist();
+});
+
 process.on('SIGINT', () => {
   logInfo('SIGINT received, shutting down gracefully');
   process.exit(0);